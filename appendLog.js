@@ -0,0 +1,197 @@
+/**
+ * Append-only Log Files
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Keeps append-only collections (e.g. the audit log) out of tracker-data.json, one JSON
+ * entry per line, so saving the tracker data never rewrites them:
+ * - new entries are appended (and flushed to disk) when DatabaseManager saves
+ * - the file is only rewritten when old entries are pruned
+ *
+ * The SQLite backend keeps these logs in their own tables instead - see SqliteLog.
+ */
+
+const fs = require('fs');
+
+// How much of the end of the file to read when looking for the last entry
+const TAIL_BYTES = 64 * 1024;
+
+/**
+ * True if an entry's fields equal the given values (an array matches any of its values;
+ * null/undefined values are ignored)
+ */
+function matchesFields(entry, equals = {}) {
+  return Object.entries(equals).every(([field, value]) => {
+    if (value === undefined || value === null) return true;
+    return Array.isArray(value) ? value.includes(entry[field]) : entry[field] === value;
+  });
+}
+
+/**
+ * Page through entries given newest first, stopping as soon as the page is full
+ * @param {Iterable} newestFirst - log entries, newest first
+ * @param {object} options - { equals, filter(entry), stop(entry): no older entry can match, offset, limit }
+ * @returns {object} { entries, total, hasMore } - total is null when reading stopped early
+ */
+function pageNewest(newestFirst, { equals = {}, filter = null, stop = null, offset = 0, limit = Infinity } = {}) {
+  const entries = [];
+  let matched = 0;
+  for (const entry of newestFirst) {
+    if (stop && stop(entry)) break;
+    if (!matchesFields(entry, equals) || (filter && !filter(entry))) continue;
+    if (matched++ < offset) continue;
+    if (entries.length >= limit) return { entries, total: null, hasMore: true };
+    entries.push(entry);
+  }
+  return { entries, total: matched, hasMore: false };
+}
+
+class JsonlLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.repairTail();
+  }
+
+  /**
+   * A crash mid-append can leave a partial last line - end it so the next append starts clean
+   * (the partial entry is skipped when reading)
+   */
+  repairTail() {
+    if (!fs.existsSync(this.filePath)) return;
+    const tail = this.readTail(1);
+    if (tail && !tail.endsWith('\n')) fs.appendFileSync(this.filePath, '\n');
+  }
+
+  readTail(bytes = TAIL_BYTES) {
+    const size = fs.statSync(this.filePath).size;
+    if (size === 0) return '';
+    const length = Math.min(size, bytes);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Append entries and flush them to disk
+   */
+  append(entries) {
+    if (entries.length === 0) return;
+    const fd = fs.openSync(this.filePath, 'a');
+    try {
+      fs.writeSync(fd, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Entries oldest first, optionally only those matching { field: value }
+   */
+  read(equals = {}) {
+    if (!fs.existsSync(this.filePath)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (matchesFields(entry, equals)) entries.push(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * Entries newest first, reading the file backwards only as far as the page needs
+   * @param {object} options - see pageNewest()
+   */
+  readNewest(options = {}) {
+    if (!fs.existsSync(this.filePath)) return { entries: [], total: 0, hasMore: false };
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      return pageNewest(this.linesBackwards(fd), options);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Parsed entries from the end of the file to the start, one chunk in memory at a time
+   */
+  *linesBackwards(fd) {
+    let position = fs.fstatSync(fd).size;
+    let carry = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(position, TAIL_BYTES);
+      position -= length;
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, position);
+
+      // Split on newline bytes so a multi-byte character cut by the chunk isn't mangled;
+      // the partial first line waits for the chunk before it
+      const chunk = Buffer.concat([buffer, carry]);
+      const start = position > 0 ? chunk.indexOf(0x0a) + 1 : 0;
+      if (position > 0 && start === 0) {
+        carry = chunk;
+        continue;
+      }
+      carry = chunk.subarray(0, start);
+
+      const lines = chunk.subarray(start).toString('utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        try {
+          yield JSON.parse(lines[i]);
+        } catch (error) {
+          // Partial line left by a crash
+        }
+      }
+    }
+  }
+
+  /**
+   * Highest entry id (0 if empty) - entries are appended in id order
+   */
+  lastId() {
+    if (!fs.existsSync(this.filePath)) return 0;
+    const lines = this.readTail().split('\n').filter(Boolean).reverse();
+    for (const line of lines) {
+      try {
+        return JSON.parse(line).id || 0;
+      } catch (error) {
+        // Partial line (or one cut off by the tail read) - try the one before
+      }
+    }
+    return this.read().reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+  }
+
+  /**
+   * Delete entries whose field is below a value (e.g. timestamp before a cutoff)
+   * @returns {number} entries deleted
+   */
+  prune(field, before) {
+    const entries = this.read();
+    const kept = entries.filter(entry => !(entry[field] < before));
+    if (kept.length === entries.length) return 0;
+
+    const tempPath = `${this.filePath}.tmp-${process.pid}`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, kept.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.filePath);
+    return entries.length - kept.length;
+  }
+}
+
+module.exports = { JsonlLog, matchesFields, pageNewest };
@@ -0,0 +1,180 @@
+/**
+ * Cron Expression Helper
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Minimal 5-field cron parser used by the monitoring schedule:
+ *   minute hour day-of-month month day-of-week
+ *
+ * Supports "*", lists ("1,15"), ranges ("1-5") and steps ("*\/15", "8-18/2").
+ * Day-of-week uses 0-6 (Sunday = 0); 7 is accepted as Sunday.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl formatters are expensive to construct - reuse one per timezone
+const formatters = new Map();
+
+/**
+ * Parse a single cron field into a Set of allowed values
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (isNaN(step) || step < 1) {
+      throw new Error(`Invalid step "${part}" in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(v => parseInt(v, 10));
+    } else {
+      start = parseInt(rangePart, 10);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    if (isNaN(start) || isNaN(end) || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid value "${part}" in ${field.name} field`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression into sets of allowed values per field
+ * @param {string} expression - e.g. "0 7 * * 1-5"
+ */
+function parseCronExpression(expression) {
+  const parts = (expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+
+  // Treat 7 as Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+/**
+ * Get the calendar parts of a date in a given IANA timezone
+ */
+function getZonedParts(date, timezone) {
+  const key = timezone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const formatter = formatters.get(key);
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Check whether zoned date parts match a parsed cron expression
+ */
+function matchesCron(parsed, p) {
+  if (!parsed.minute.has(p.minute) || !parsed.hour.has(p.hour) || !parsed.month.has(p.month)) {
+    return false;
+  }
+
+  // Standard cron semantics: if both day fields are restricted, either may match
+  const domMatch = parsed.dayOfMonth.has(p.dayOfMonth);
+  const dowMatch = parsed.dayOfWeek.has(p.dayOfWeek);
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Find the next whole minute (strictly after `from`) whose zoned parts satisfy `predicate`
+ * Whole hours are skipped when `hourFilter` rejects them. Gives up after one year and returns null.
+ */
+function findNextMinute(from, predicate, timezone = null, hourFilter = null) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setTime(date.getTime() + 60 * 1000);
+
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    const parts = getZonedParts(date, timezone);
+    if (hourFilter && !hourFilter(parts)) {
+      // Jump to the start of the next hour in the schedule's timezone
+      date.setTime(date.getTime() + (60 - parts.minute) * 60 * 1000);
+      continue;
+    }
+    if (predicate(parts)) return date;
+    date.setTime(date.getTime() + 60 * 1000);
+  }
+  return null;
+}
+
+/**
+ * Get the next time a cron expression fires after `from`
+ */
+function getNextCronTime(expression, from = new Date(), timezone = null) {
+  const parsed = parseCronExpression(expression);
+  return findNextMinute(
+    from,
+    parts => matchesCron(parsed, parts),
+    timezone,
+    parts => parsed.hour.has(parts.hour)
+  );
+}
+
+module.exports = {
+  parseCronExpression,
+  matchesCron,
+  getNextCronTime,
+  getZonedParts,
+  findNextMinute
+};
@@ -9,10 +9,44 @@
  * for monitoring purposes.
  * 
  * NEW: Integrates with NPI service to auto-discover NPI numbers for candidates
+ *
+ * Syncs are incremental: each one stores a high-water mark per Loxo resource (jobs,
+ * job_candidates, people) in syncHistory and the next asks only for records updated
+ * since. A full reconciliation runs every LOXO_FULL_SYNC_DAYS to pick up anything the
+ * deltas missed and to close submissions that were deleted in Loxo.
+ *
+ * Loxo webhooks (person, job and pipeline events) are applied one record at a time
+ * with the same matching as a sync - see handleWebhook().
  */
 
 const loxoService = require('./loxoService');
 const npiService = require('./npiService');
+const { mergeStageHistory, isHiredStage } = require('./pipelineStages');
+
+const RESOURCES = ['jobs', 'job_candidates', 'people'];
+
+// Loxo webhook events handled, by what they're about: 'pipeline' (a person on a job), 'person'
+// or 'job'. Any other event is acknowledged and ignored.
+const WEBHOOK_EVENTS = {
+  'job_candidate.created': 'pipeline',
+  'job_candidate.updated': 'pipeline',
+  'job_candidate.deleted': 'pipeline',
+  'person.created': 'person',
+  'person.updated': 'person',
+  'person.deleted': 'person',
+  'job.created': 'job',
+  'job.updated': 'job',
+  'job.deleted': 'job'
+};
+
+/**
+ * The later of two timestamps (either may be missing or unparseable)
+ */
+function laterOf(current, candidate) {
+  if (!candidate || isNaN(Date.parse(candidate))) return current;
+  if (!current || Date.parse(candidate) > Date.parse(current)) return new Date(candidate).toISOString();
+  return current;
+}
 
 class DataSyncService {
   constructor(database) {
@@ -21,6 +55,11 @@ class DataSyncService {
     this.npi = npiService;
     this.lastSyncTime = null;
     this.syncInProgress = false;
+
+    // Full reconciliation interval, and the optional automatic sync interval
+    this.fullSyncDays = parseFloat(process.env.LOXO_FULL_SYNC_DAYS) || 7;
+    this.syncHours = parseFloat(process.env.LOXO_SYNC_HOURS) || 0;
+    this.timer = null;
   }
 
   /**
@@ -31,10 +70,20 @@ class DataSyncService {
   }
 
   /**
-   * Full sync from Loxo - pulls all candidates and submissions
+   * Full sync from Loxo - pulls all candidates and submissions and reconciles deletions
    * Now with automatic NPI discovery!
+   * @param {object} options - { actor } recorded in the audit log
+   */
+  async fullSync(options = {}) {
+    return this.sync({ ...options, mode: 'full' });
+  }
+
+  /**
+   * Sync from Loxo - incremental from the last high-water marks unless a full sync is
+   * requested, there are no marks yet, or the last full sync is older than LOXO_FULL_SYNC_DAYS
+   * @param {object} options - { actor, mode: 'full'|'incremental' (default: choose), trigger }
    */
-  async fullSync() {
+  async sync(options = {}) {
     if (this.syncInProgress) {
       return { 
         success: false, 
@@ -44,128 +93,114 @@ class DataSyncService {
 
     this.syncInProgress = true;
     const startTime = Date.now();
+    const context = { actor: options.actor || 'system', origin: 'loxo_sync' };
+    const { mode, reason } = this.chooseMode(options.mode);
+    const since = mode === 'incremental' ? this.getHighWaterMarks() : {};
+    // Marks only move forward - a full sync doesn't read /people, so it keeps that mark
+    const reached = this.getHighWaterMarks();
     
     const stats = {
       processed: 0,
       newCandidates: 0,
       updatedCandidates: 0,
       newSubmissions: 0,
+      stageChanges: 0,
+      closedSubmissions: 0,
+      reopenedSubmissions: 0,
       npiDiscovered: 0,
+      personDetailsSkipped: 0,
       errors: []
     };
 
+    const entry = this.db.startSync({ mode, reason, trigger: options.trigger || 'manual', actor: context.actor, since });
+
     try {
-      console.log('[DataSyncService] Starting full sync from Loxo...');
+      console.log(`[DataSyncService] Starting ${mode} sync from Loxo (${reason})...`);
 
-      // Use the new combined sync method
-      const loxoData = await this.loxo.syncCandidatesAndSubmissions();
-      
-      if (loxoData.error) {
-        throw new Error(loxoData.error);
+      // People changed since the last sync - refreshes tracked candidates without a getPerson per job candidate
+      if (mode === 'incremental') {
+        for await (const person of this.loxo.iteratePeople({ updated_since: since.people })) {
+          reached.people = laterOf(reached.people, person.updated_at);
+          if (!this.findCandidateByLoxoId(person.id)) continue;
+          await this.processCandidate(this.loxo.toCandidateData(person), context, stats);
+        }
       }
 
-      console.log(`[DataSyncService] Processing ${loxoData.candidates.length} candidates...`);
-
-      // Step 1: Process candidates
-      for (const loxoCandidate of loxoData.candidates) {
-        try {
-          const candidate = {
-            loxo_id: String(loxoCandidate.loxo_id),
-            full_name: loxoCandidate.full_name,
-            npi_number: loxoCandidate.npi_number || '',
-            email: loxoCandidate.email || '',
-            phone: loxoCandidate.phone || '',
-            linkedin_url: loxoCandidate.linkedin_url || '',
-            facebook_url: loxoCandidate.facebook_url || '',
-            instagram_url: loxoCandidate.instagram_url || '',
-            twitter_url: loxoCandidate.twitter_url || ''
-          };
-          
-          // Check if candidate already exists
-          const existingCandidate = this.findExistingCandidate(candidate);
-          
-          if (existingCandidate) {
-            // Update existing candidate
-            this.updateCandidate(existingCandidate.id, candidate);
-            stats.updatedCandidates++;
-            
-            // If existing candidate has no NPI, try to find one
-            if (!existingCandidate.npi_number && !candidate.npi_number) {
-              const discoveredNPI = await this.discoverNPIForCandidate(candidate);
-              if (discoveredNPI) {
-                this.db.updateCandidate(existingCandidate.id, { npi_number: discoveredNPI });
-                stats.npiDiscovered++;
-              }
-            }
-          } else {
-            // Try to discover NPI for new candidate if not provided
-            if (!candidate.npi_number) {
-              const discoveredNPI = await this.discoverNPIForCandidate(candidate);
-              if (discoveredNPI) {
-                candidate.npi_number = discoveredNPI;
-                stats.npiDiscovered++;
-              }
-            }
-            
-            this.db.insertCandidate(candidate);
-            stats.newCandidates++;
-          }
-          
-          stats.processed++;
-        } catch (error) {
-          console.error(`[DataSyncService] Error processing candidate:`, error.message);
-          stats.errors.push({ type: 'candidate', data: loxoCandidate, error: error.message });
+      // Full syncs note every job and submission seen, to close the ones deleted in Loxo
+      const seen = mode === 'full' ? { jobs: new Set(), failedJobs: new Set(), submissions: new Set() } : null;
+      const skipPersonDetails = mode === 'incremental'
+        ? personId => {
+          if (!this.findCandidateByLoxoId(personId)) return false;
+          stats.personDetailsSkipped++;
+          return true;
         }
-      }
+        : null;
 
-      // Step 2: Process submissions
-      console.log(`[DataSyncService] Processing ${loxoData.submissions.length} submissions...`);
-
-      for (const submission of loxoData.submissions) {
-        try {
-          // Find the candidate in our database
-          const candidate = this.findCandidateByLoxoId(submission.loxo_candidate_id);
-          
-          if (!candidate) {
-            console.log(`[DataSyncService] Candidate not found for submission: ${submission.loxo_candidate_id}`);
-            continue;
-          }
+      // Stream jobs and their candidates page by page - each record is stored as it arrives
+      const stream = this.loxo.streamCandidatesAndSubmissions({ since, skipPersonDetails });
+      for await (const { job, jobCandidate, person, candidate: loxoCandidate, submission, error } of stream) {
+        if (error) {
+          if (seen) seen.failedJobs.add(String(job.id));
+          stats.errors.push({ type: 'job', data: { id: job.id, title: job.title || job.name }, error: error.message });
+          continue;
+        }
+        if (!submission) {
+          reached.jobs = laterOf(reached.jobs, job.updated_at);
+          if (seen) seen.jobs.add(String(job.id));
+          continue;
+        }
 
-          // Check if this submission already exists
-          const existingSubmission = this.findExistingSubmission(candidate.id, submission.client_name);
-          
-          if (!existingSubmission) {
-            this.db.insertSubmission({
-              candidate_id: candidate.id,
-              client_name: submission.client_name,
-              job_title: submission.job_title,
-              submitted_date: this.formatDate(submission.submitted_date),
-              status: 'tracking'
-            });
-            stats.newSubmissions++;
-          }
-        } catch (error) {
-          console.error(`[DataSyncService] Error processing submission:`, error.message);
-          stats.errors.push({ type: 'submission', data: submission, error: error.message });
+        reached.job_candidates = laterOf(reached.job_candidates, jobCandidate.updated_at);
+        if (person) reached.people = laterOf(reached.people, person.updated_at);
+
+        if (loxoCandidate) {
+          await this.processCandidate(loxoCandidate, context, stats);
         }
+        const local = await this.processSubmission(submission, context, stats);
+        if (seen && local) seen.submissions.add(local.id);
+      }
+
+      if (seen) {
+        await this.reconcileSubmissions(seen, context, stats);
+      }
+
+      // Resources with no timestamped records keep their mark (or start from this sync)
+      const startedAt = new Date(startTime).toISOString();
+      for (const resource of RESOURCES) {
+        if (!reached[resource]) reached[resource] = startedAt;
       }
 
       this.lastSyncTime = new Date();
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       
-      console.log(`[DataSyncService] Sync completed in ${duration}s`);
+      console.log(`[DataSyncService] ${mode === 'full' ? 'Full' : 'Incremental'} sync completed in ${duration}s`);
       console.log(`[DataSyncService] Stats: ${JSON.stringify(stats)}`);
 
+      const { errors, ...counts } = stats;
+      this.db.finishSync(entry.id, {
+        status: 'success',
+        high_water_marks: reached,
+        stats: { ...counts, errors: errors.length }
+      });
+
       return {
         success: true,
+        syncId: entry.id,
+        mode,
+        reason,
         duration: `${duration}s`,
         ...stats
       };
 
     } catch (error) {
       console.error('[DataSyncService] Sync failed:', error.message);
+      const { errors, ...counts } = stats;
+      this.db.finishSync(entry.id, { status: 'failed', error: error.message, stats: { ...counts, errors: errors.length } });
       return {
         success: false,
+        syncId: entry.id,
+        mode,
+        reason,
         error: error.message,
         ...stats
       };
@@ -174,21 +209,321 @@ class DataSyncService {
     }
   }
 
+  /**
+   * Decide between an incremental sync and a full reconciliation
+   * @returns {object} { mode, reason }
+   */
+  chooseMode(requested = null) {
+    if (requested === 'full') return { mode: 'full', reason: 'requested' };
+
+    const marks = this.getHighWaterMarks();
+    if (RESOURCES.some(resource => !marks[resource])) return { mode: 'full', reason: 'no_high_water_marks' };
+    if (requested === 'incremental') return { mode: 'incremental', reason: 'requested' };
+
+    const lastFull = this.db.getLastSync('full');
+    const fullAgeDays = lastFull ? (Date.now() - Date.parse(lastFull.started_at)) / (24 * 60 * 60 * 1000) : Infinity;
+    if (fullAgeDays >= this.fullSyncDays) return { mode: 'full', reason: 'reconciliation_due' };
+
+    return { mode: 'incremental', reason: 'changes_since_last_sync' };
+  }
+
+  /**
+   * High-water marks reached by the last successful sync - { jobs, job_candidates, people }
+   */
+  getHighWaterMarks() {
+    const last = this.db.getLastSync();
+    return last ? { ...last.high_water_marks } : {};
+  }
+
+  /**
+   * Close Loxo submissions a full sync didn't see: the candidate was removed from a job
+   * that's still listed, or the job itself is gone (Loxo answers 404). Jobs that are merely
+   * missing from the listing (e.g. closed) or whose candidates failed to load are left alone.
+   */
+  async reconcileSubmissions(seen, context, stats) {
+    const jobExists = new Map();
+    const now = new Date().toISOString();
+
+    for (const submission of this.db.getAllSubmissions()) {
+      if (!submission.loxo_job_id || submission.status === 'closed' || seen.submissions.has(submission.id)) continue;
+
+      const jobId = String(submission.loxo_job_id);
+      if (seen.failedJobs.has(jobId)) continue;
+
+      if (!seen.jobs.has(jobId)) {
+        if (!jobExists.has(jobId)) {
+          jobExists.set(jobId, await this.loxo.jobExists(jobId).catch(() => true));
+        }
+        if (jobExists.get(jobId)) continue;
+      }
+
+      this.db.updateSubmission(submission.id, {
+        status: 'closed',
+        closed_reason: seen.jobs.has(jobId) ? 'removed_from_loxo_job' : 'loxo_job_deleted',
+        closed_at: now
+      }, context);
+      stats.closedSubmissions++;
+      console.log(`[DataSyncService] Closed submission #${submission.id} (${submission.client_name}) - no longer in Loxo job ${jobId}`);
+    }
+  }
+
+  /**
+   * Apply one Loxo webhook event
+   * - pipeline events upsert the candidate and their submission (stage and stage history)
+   * - person events refresh a candidate we already track (other Loxo people are ignored)
+   * - job events update the job title on its submissions, or close them if the job was deleted
+   * @param {object} payload - { event, data } as posted by Loxo
+   * @returns {object} { event, kind, candidate_id, submission_id, stage, hired, ignored, reason }
+   */
+  async handleWebhook(payload, context = {}) {
+    const event = String(payload.event || payload.event_type || payload.type || payload.action || '').toLowerCase();
+    const data = payload.data || payload.payload || payload.object || {};
+    const kind = WEBHOOK_EVENTS[event] || null;
+    const deleted = event.endsWith('.deleted');
+    const stats = { processed: 0, newCandidates: 0, updatedCandidates: 0, newSubmissions: 0, stageChanges: 0, reopenedSubmissions: 0, npiDiscovered: 0, errors: [] };
+    const result = { event, kind, candidate_id: null, submission_id: null, stage: null, hired: false };
+
+    if (kind === 'pipeline') {
+      const jobCandidate = data.job_candidate || data.candidate || data;
+      const job = data.job || jobCandidate.job || {};
+      const jobId = jobCandidate.job_id || data.job_id || job.id;
+      const personId = jobCandidate.person_id || data.person_id || (data.person || jobCandidate.person || {}).id;
+      if (!jobId || !personId) return { ...result, ignored: true, reason: 'Pipeline event without a job and person id' };
+
+      if (deleted) {
+        const candidate = this.findCandidateByLoxoId(personId);
+        const submission = candidate && this.db.getAllSubmissions().find(s =>
+          s.candidate_id === candidate.id && String(s.loxo_job_id) === String(jobId) && s.status !== 'closed'
+        );
+        if (!submission) return { ...result, ignored: true, reason: 'No tracked submission for this job' };
+        this.db.updateSubmission(submission.id, { status: 'closed', closed_reason: 'removed_from_loxo_job', closed_at: new Date().toISOString() }, context);
+        return { ...result, candidate_id: candidate.id, submission_id: submission.id };
+      }
+
+      // New people are fetched and matched like a sync would (by Loxo id, then email, then name)
+      let loxoId = String(personId);
+      if (!this.findCandidateByLoxoId(loxoId)) {
+        const person = data.person && data.person.id ? data.person : await this.loxo.getPerson(personId);
+        const candidateData = this.loxo.toCandidateData(person, { id: personId });
+        await this.processCandidate(candidateData, context, stats);
+        loxoId = String(candidateData.loxo_id);
+      }
+
+      const fullJob = job.company_name || job.company ? { id: jobId, ...job } : await this.loxo.getJob(jobId);
+      const stages = this.loxo.workflowStages || await this.loxo.getWorkflowStages();
+      const submission = await this.processSubmission(this.loxo.toSubmissionData(fullJob, jobCandidate, loxoId, stages), context, stats);
+      if (stats.errors.length > 0) throw new Error(stats.errors[0].error);
+      if (!submission) return { ...result, ignored: true, reason: 'Candidate could not be stored' };
+
+      const stored = this.db.getAllSubmissions().find(s => s.id === submission.id) || submission;
+      return {
+        ...result,
+        candidate_id: stored.candidate_id,
+        submission_id: stored.id,
+        stage: stored.pipeline_stage || null,
+        stageChanged: stats.stageChanges > 0,
+        newCandidate: stats.newCandidates > 0,
+        newSubmission: stats.newSubmissions > 0,
+        hired: isHiredStage(stored.pipeline_stage)
+      };
+    }
+
+    if (kind === 'person') {
+      const person = data.person || data;
+      const candidate = person.id ? this.findCandidateByLoxoId(person.id) : null;
+      if (!candidate) return { ...result, ignored: true, reason: 'Person is not a tracked candidate' };
+      if (deleted) return { ...result, candidate_id: candidate.id, ignored: true, reason: 'Deleted Loxo people are left to the full reconciliation' };
+
+      const details = person.name || person.first_name ? person : await this.loxo.getPerson(person.id);
+      await this.processCandidate(this.loxo.toCandidateData(details), context, stats);
+      if (stats.errors.length > 0) throw new Error(stats.errors[0].error);
+      return { ...result, candidate_id: candidate.id };
+    }
+
+    if (kind === 'job') {
+      const job = data.job || data;
+      if (!job.id) return { ...result, ignored: true, reason: 'Job event without a job id' };
+
+      const submissions = this.db.getAllSubmissions().filter(s => String(s.loxo_job_id) === String(job.id) && s.status !== 'closed');
+      const title = job.title || job.name;
+      for (const submission of submissions) {
+        if (deleted) {
+          this.db.updateSubmission(submission.id, { status: 'closed', closed_reason: 'loxo_job_deleted', closed_at: new Date().toISOString() }, context);
+        } else if (title && title !== submission.job_title) {
+          this.db.updateSubmission(submission.id, { job_title: title }, context);
+        }
+      }
+      return { ...result, submissions: submissions.length };
+    }
+
+    return { ...result, ignored: true, reason: `Unsupported event "${event || 'unknown'}"` };
+  }
+
+  /**
+   * Insert or update one candidate from the Loxo sync stream, discovering an NPI if it has none
+   */
+  async processCandidate(loxoCandidate, context, stats) {
+    try {
+      const candidate = {
+        loxo_id: String(loxoCandidate.loxo_id),
+        full_name: loxoCandidate.full_name,
+        npi_number: loxoCandidate.npi_number || '',
+        email: loxoCandidate.email || '',
+        phone: loxoCandidate.phone || '',
+        linkedin_url: loxoCandidate.linkedin_url || '',
+        facebook_url: loxoCandidate.facebook_url || '',
+        instagram_url: loxoCandidate.instagram_url || '',
+        twitter_url: loxoCandidate.twitter_url || ''
+      };
+      
+      // Check if candidate already exists
+      const existingCandidate = this.findExistingCandidate(candidate);
+      
+      if (existingCandidate) {
+        // Update existing candidate
+        this.updateCandidate(existingCandidate.id, candidate, context);
+        stats.updatedCandidates++;
+        
+        // If existing candidate has no NPI, try to find one
+        if (!existingCandidate.npi_number && !candidate.npi_number) {
+          const discoveredNPI = await this.discoverNPIForCandidate(existingCandidate, context);
+          if (discoveredNPI) {
+            this.db.updateCandidate(existingCandidate.id, { npi_number: discoveredNPI }, context);
+            stats.npiDiscovered++;
+          }
+        }
+      } else {
+        const { lastInsertRowid } = this.db.insertCandidate(candidate, context);
+        stats.newCandidates++;
+
+        // Try to discover NPI for new candidate if not provided (ambiguous names need an id for the review queue)
+        if (!candidate.npi_number) {
+          const discoveredNPI = await this.discoverNPIForCandidate(this.db.getCandidateById(lastInsertRowid), context);
+          if (discoveredNPI) {
+            this.db.updateCandidate(lastInsertRowid, { npi_number: discoveredNPI }, context);
+            stats.npiDiscovered++;
+          }
+        }
+      }
+      
+      stats.processed++;
+    } catch (error) {
+      console.error(`[DataSyncService] Error processing candidate:`, error.message);
+      stats.errors.push({ type: 'candidate', data: loxoCandidate, error: error.message });
+    }
+  }
+
+  /**
+   * Add one submission from the Loxo sync stream unless the candidate is already tracked at that client
+   * Either way the submission gets the job candidate's current Loxo stage and stage history.
+   * @returns {object|null} the local submission
+   */
+  async processSubmission(submission, context, stats) {
+    try {
+      // Find the candidate in our database
+      const candidate = this.findCandidateByLoxoId(submission.loxo_candidate_id);
+      
+      if (!candidate) {
+        console.log(`[DataSyncService] Candidate not found for submission: ${submission.loxo_candidate_id}`);
+        return null;
+      }
+
+      // Check if this submission already exists
+      const existingSubmission = this.findExistingSubmission(candidate.id, submission.client_name, submission.loxo_job_id);
+      const stage = await this.stageFields(existingSubmission, submission);
+      // A new submission, or history filled in for an unchanged stage, isn't a stage change
+      if (existingSubmission && stage.pipeline_stage &&
+          this.normalizeString(existingSubmission.pipeline_stage) !== this.normalizeString(stage.pipeline_stage)) {
+        stats.stageChanges++;
+      }
+      
+      if (!existingSubmission) {
+        const { lastInsertRowid } = this.db.insertSubmission({
+          candidate_id: candidate.id,
+          client_name: submission.client_name,
+          job_title: submission.job_title,
+          submitted_date: this.formatDate(submission.submitted_date),
+          loxo_job_id: submission.loxo_job_id,
+          ...stage,
+          status: 'tracking'
+        }, context);
+        stats.newSubmissions++;
+        return this.db.getAllSubmissions().find(s => s.id === lastInsertRowid) || null;
+      }
+
+      // Back in Loxo after a reconciliation closed it, or synced before job ids were stored
+      const updates = { ...stage };
+      if (existingSubmission.status === 'closed' && /loxo/.test(existingSubmission.closed_reason || '')) {
+        Object.assign(updates, { status: 'tracking', closed_reason: null, closed_at: null });
+        stats.reopenedSubmissions++;
+      }
+      if (!existingSubmission.loxo_job_id && submission.loxo_job_id) {
+        updates.loxo_job_id = submission.loxo_job_id;
+      }
+      if (Object.keys(updates).length > 0) {
+        this.db.updateSubmission(existingSubmission.id, updates, context);
+      }
+      return existingSubmission;
+    } catch (error) {
+      console.error(`[DataSyncService] Error processing submission:`, error.message);
+      stats.errors.push({ type: 'submission', data: submission, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Stage fields for a synced submission - { pipeline_stage, stage_history }, or {} if unchanged
+   * Loxo is the source of truth for the current stage, so it can move backwards too. The
+   * activity history is only read when the stage changed; if Loxo has no activity for the
+   * new stage, the transition is dated from the job candidate's last update.
+   */
+  async stageFields(existing, submission) {
+    const stage = submission.pipeline_stage;
+    if (!stage) return {};
+
+    const history = (existing && existing.stage_history) || [];
+    if (existing && (existing.pipeline_stage || '').toLowerCase() === stage.toLowerCase() && history.length > 0) {
+      return {};
+    }
+
+    let entries = [];
+    try {
+      entries = await this.loxo.getStageHistory(submission.loxo_candidate_id, submission.loxo_job_id);
+    } catch (error) {
+      console.warn(`[DataSyncService] Could not read stage history for ${submission.loxo_candidate_id} on job ${submission.loxo_job_id}: ${error.message}`);
+    }
+
+    const last = entries[entries.length - 1];
+    if (!last || last.stage.toLowerCase() !== stage.toLowerCase()) {
+      entries.push({ stage, at: submission.stage_updated_at || new Date().toISOString(), source: 'loxo_sync' });
+    }
+
+    return { pipeline_stage: stage, stage_history: mergeStageHistory(history, entries) };
+  }
+
   /**
    * Discover NPI number for a candidate by searching their name
-   * Only returns high-confidence matches
+   * Only returns a match that clearly identifies one provider; ambiguous names are
+   * queued for NPI review instead, and rejected NPIs are never returned.
    */
-  async discoverNPIForCandidate(candidate) {
-    if (!candidate.full_name) return null;
+  async discoverNPIForCandidate(candidate, context = {}) {
+    if (!candidate || !candidate.full_name || candidate.npi_locked) return null;
 
     try {
       console.log(`  [NPI Discovery] Searching for: ${candidate.full_name}`);
-      const providers = await this.npi.searchByName(candidate.full_name);
-      
-      // Only use very high confidence matches to avoid false positives
-      if (providers.length > 0 && providers[0].matchScore >= 0.9) {
-        console.log(`    Found NPI: ${providers[0].npi} (confidence: ${providers[0].matchScore.toFixed(2)})`);
-        return providers[0].npi;
+      const providers = await this.npi.searchCandidate(candidate);
+      const resolution = this.npi.classifyMatches(providers, candidate.npi_rejected);
+
+      if (resolution.match) {
+        const { first, last, matchedOn } = resolution.match.matchBreakdown || {};
+        const how = first && last ? `, first name ${first.method}, last name ${last.method} on ${matchedOn}` : '';
+        console.log(`    Found NPI: ${resolution.match.npi} (confidence: ${resolution.match.matchScore.toFixed(2)}${how})`);
+        return resolution.match.npi;
+      }
+
+      if (resolution.ambiguous && candidate.id) {
+        const review = this.db.openNpiReview(candidate, resolution.options.map(p => this.npi.summarizeProvider(p)), context);
+        console.log(`    ${resolution.options.length} possible NPI records - queued for review #${review.id}`);
       }
       
       return null;
@@ -201,34 +536,39 @@ class DataSyncService {
   /**
    * Backfill NPI numbers for all candidates without one
    * Can be called manually via API endpoint
+   * @param {object} context - audit context { actor, origin }
+   * @returns {object} { checked, found, queued } - queued = sent to the NPI review queue
    */
-  async backfillNPINumbers() {
-    const candidates = this.db.getAllCandidates().filter(c => !c.npi_number);
+  async backfillNPINumbers(context = { origin: 'npi_backfill' }) {
+    const candidates = this.db.getAllCandidates().filter(c => !c.npi_number && !c.npi_locked);
     console.log(`[NPI Backfill] Processing ${candidates.length} candidates without NPI...`);
     
     let found = 0;
     let checked = 0;
+    let queued = 0;
 
     for (const candidate of candidates) {
       checked++;
-      const npi = await this.discoverNPIForCandidate(candidate);
+      const npi = await this.discoverNPIForCandidate(candidate, context);
       
       if (npi) {
-        this.db.updateCandidate(candidate.id, { npi_number: npi });
+        this.db.updateCandidate(candidate.id, { npi_number: npi }, context);
         found++;
+      } else if (this.db.getPendingNpiReview(candidate.id)) {
+        queued++;
       }
       
       // Progress indicator
       if (checked % 10 === 0) {
-        console.log(`  Progress: ${checked}/${candidates.length} checked, ${found} found`);
+        console.log(`  Progress: ${checked}/${candidates.length} checked, ${found} found, ${queued} queued for review`);
       }
       
       // Rate limiting
       await new Promise(resolve => setTimeout(resolve, 400));
     }
 
-    console.log(`[NPI Backfill] Complete: ${found}/${checked} NPIs discovered`);
-    return { checked, found };
+    console.log(`[NPI Backfill] Complete: ${found}/${checked} NPIs discovered, ${queued} queued for review`);
+    return { checked, found, queued };
   }
 
   /**
@@ -273,11 +613,17 @@ class DataSyncService {
 
   /**
    * Find existing submission
+   * By Loxo job first - a candidate can be on two jobs at the same client. The client name
+   * is only compared when one side has no job id (CSV imports, older syncs).
    */
-  findExistingSubmission(candidateId, clientName) {
-    const submissions = this.db.getAllSubmissions();
-    return submissions.find(s => 
-      s.candidate_id === candidateId && 
+  findExistingSubmission(candidateId, clientName, loxoJobId = null) {
+    const submissions = this.db.getAllSubmissions().filter(s => s.candidate_id === candidateId);
+    if (loxoJobId) {
+      const byJob = submissions.find(s => s.loxo_job_id && String(s.loxo_job_id) === String(loxoJobId));
+      if (byJob) return byJob;
+    }
+    return submissions.find(s =>
+      (!loxoJobId || !s.loxo_job_id) &&
       this.normalizeString(s.client_name) === this.normalizeString(clientName)
     );
   }
@@ -285,7 +631,7 @@ class DataSyncService {
   /**
    * Update existing candidate
    */
-  updateCandidate(candidateId, newData) {
+  updateCandidate(candidateId, newData, context = {}) {
     const candidate = this.db.getCandidateById(candidateId);
     if (!candidate) return;
 
@@ -300,7 +646,7 @@ class DataSyncService {
     updated.updated_at = new Date().toISOString();
     
     if (this.db.updateCandidate) {
-      this.db.updateCandidate(candidateId, updated);
+      this.db.updateCandidate(candidateId, updated, context);
     }
   }
 
@@ -338,11 +684,53 @@ class DataSyncService {
    * Get sync status
    */
   getStatus() {
+    const last = this.db.getLastSync();
+    const lastFull = this.db.getLastSync('full');
     return {
       inProgress: this.syncInProgress,
-      lastSync: this.lastSyncTime ? this.lastSyncTime.toISOString() : null
+      lastSync: this.lastSyncTime ? this.lastSyncTime.toISOString() : (last ? last.finished_at : null),
+      lastMode: last ? last.mode : null,
+      lastFullSync: lastFull ? lastFull.finished_at : null,
+      nextFullSyncDue: lastFull
+        ? new Date(Date.parse(lastFull.started_at) + this.fullSyncDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      highWaterMarks: this.getHighWaterMarks(),
+      scheduled: Boolean(this.timer),
+      syncHours: this.syncHours,
+      fullSyncDays: this.fullSyncDays
     };
   }
+
+  /**
+   * Mark syncs left "running" by a restart as failed
+   */
+  recoverInterruptedSyncs() {
+    for (const sync of this.db.getSyncHistory({ limit: Infinity }).syncs) {
+      if (sync.status === 'running') {
+        this.db.finishSync(sync.id, { status: 'failed', error: 'Interrupted by a server restart' });
+      }
+    }
+  }
+
+  /**
+   * Sync from Loxo every LOXO_SYNC_HOURS (off unless set, and only when Loxo is configured)
+   * @returns {boolean} whether automatic syncs were scheduled
+   */
+  start() {
+    this.stop();
+    if (!this.syncHours || !this.loxo.apiKey) return false;
+
+    this.timer = setInterval(() => {
+      if (this.syncInProgress) return;
+      this.sync({ trigger: 'scheduled' }).catch(error => console.error('Scheduled Loxo sync error:', error.message));
+    }, this.syncHours * 60 * 60 * 1000);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
 }
 
 module.exports = DataSyncService;
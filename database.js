@@ -1,57 +1,504 @@
 /**
- * Simple JSON Database Manager
+ * Database Manager
+ * Keeps all records in memory and persists them to either:
+ * - tracker-data.json (default, DB_BACKEND=json)
+ * - an embedded SQLite database, tracker-data.db (DB_BACKEND=sqlite)
+ *
+ * Append-only logs (the audit log, monitoring run results) are not held in memory: they are
+ * appended to their own file (tracker-data-audit.jsonl, tracker-data-monitoring-results.jsonl)
+ * or SQLite table on save and read back when queried.
  */
 const fs = require('fs');
 const path = require('path');
+const { runMigrations, LATEST_VERSION } = require('./migrations');
+const { ALIAS_TYPES } = require('./nameMatcher');
+const { JsonlLog, matchesFields, pageNewest } = require('./appendLog');
+
+// Soft-deleted records carry deleted_at and are hidden from lists and stats
+const isLive = record => !record.deleted_at;
+
+const COLLECTIONS = { candidate: 'candidates', submission: 'submissions', alert: 'alerts' };
+
+// Append-only logs kept outside the main data: file suffix and fields looked up by equality
+const LOGS = {
+  auditLog: { file: 'audit', indexed: ['entity', 'entity_id', 'actor', 'origin'] },
+  monitoringResults: { file: 'monitoring-results', indexed: ['run_id', 'candidate_id'] }
+};
+
+/**
+ * Values an entity ID may be stored as - record IDs are numbers, but the API passes strings
+ */
+function idValues(id) {
+  const number = Number(id);
+  return Number.isFinite(number) && String(number) === String(id) ? [number, String(id)] : [String(id)];
+}
+
+// Bookkeeping fields left out of audit diffs
+const AUDIT_IGNORED_FIELDS = new Set(['updated_at']);
+
+/**
+ * Field-level diff between two versions of a record
+ * @returns {object} { field: { from, to } } for every changed field
+ */
+function diffFields(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (AUDIT_IGNORED_FIELDS.has(key)) continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Drop NPI changes a candidate doesn't accept: a locked NPI only changes through
+ * setCandidateNpi(), and rejected NPIs are never assigned again
+ */
+function guardNpiUpdate(candidate, updates) {
+  const blocked = candidate.npi_locked ||
+    (updates.npi_number && (candidate.npi_rejected || []).includes(updates.npi_number));
+  if (!blocked || !('npi_number' in updates || 'npi_locked' in updates)) return updates;
+  const { npi_number, npi_locked, ...rest } = updates;
+  return rest;
+}
+
+// Names compare case- and whitespace-insensitively
+const sameName = (a, b) => (a || '').toLowerCase().replace(/\s+/g, ' ').trim() === (b || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Tidy a candidate's alias list: trimmed names, known types, no duplicates or copies of the full name
+ * @returns {Array} [{ name, type, source, added_at }]
+ */
+function cleanAliases(aliases, fullName, context = {}) {
+  const now = new Date().toISOString();
+  const cleaned = [];
+  for (const alias of aliases || []) {
+    const name = (typeof alias === 'string' ? alias : alias && alias.name || '').replace(/\s+/g, ' ').trim();
+    if (!name || sameName(name, fullName) || cleaned.some(a => sameName(a.name, name))) continue;
+    cleaned.push({
+      name,
+      type: ALIAS_TYPES.includes(alias.type) ? alias.type : 'other',
+      source: alias.source || context.origin || 'ui',
+      added_at: alias.added_at || now
+    });
+  }
+  return cleaned;
+}
+
+/**
+ * Keep a candidate's previous full name as a 'former' alias when an update renames them
+ */
+function withNameHistory(candidate, updates, context) {
+  if (!updates.full_name || !candidate.full_name || sameName(updates.full_name, candidate.full_name)) return updates;
+  const aliases = [...(updates.aliases || candidate.aliases || []), { name: candidate.full_name, type: 'former', source: 'name_change' }];
+  return { ...updates, aliases: cleanAliases(aliases, updates.full_name, context) };
+}
 
 class DatabaseManager {
-  constructor(dbPath = null) {
+  constructor(dbPath = null, options = {}) {
     // Support RENDER_DISK_PATH for persistent storage on Render.com
     const dataDir = process.env.DATA_DIR || process.env.RENDER_DISK_PATH || '.';
     this.dbPath = dbPath || path.join(dataDir, 'tracker-data.json');
+    this.backend = (options.backend || process.env.DB_BACKEND || 'json').toLowerCase();
+    this.batchDepth = 0;
+    // Long async jobs holding saves until their next checkpoint - see holdSaves()
+    this.savesHeld = 0;
+    this.storage = null;
+    // Records changed since the last save (SQLite backend) - see touch()
+    this.changes = new Map();
+
+    // Rotating backups of tracker-data.json (JSON backend only)
+    this.backupDir = options.backupDir || path.join(path.dirname(this.dbPath), 'backups');
+    this.backupCount = parseInt(process.env.DB_BACKUP_COUNT, 10) || 10;
+    this.backupIntervalMs = (parseInt(process.env.DB_BACKUP_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+    this.lastBackupTime = 0;
+
+    // Soft-deleted records are purged for good after this many days in the trash
+    this.trashRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+    // Audit entries older than this are pruned (0 keeps them forever)
+    const auditRetention = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+    this.auditRetentionDays = Number.isInteger(auditRetention) && auditRetention >= 0 ? auditRetention : 365;
+
+    // Monitoring runs kept (with their per-candidate results); older runs are pruned
+    this.runHistoryLimit = parseInt(process.env.MONITORING_RUN_HISTORY, 10) || 50;
+
+    // Loxo sync history entries kept (the latest successful ones hold the sync high-water marks)
+    this.syncHistoryLimit = 200;
+
+    if (this.backend === 'sqlite') {
+      const SqliteStorage = require('./sqliteStorage');
+      this.sqlitePath = options.sqlitePath || this.dbPath.replace(/\.json$/, '') + '.db';
+      this.storage = new SqliteStorage(this.sqlitePath);
+      this.storage.migrateFromJson(this.dbPath);
+    }
+
+    // Append-only logs, their next ids and the entries waiting for the next save
+    this.logs = {};
+    this.logIds = {};
+    this.pendingLogs = {};
+    for (const [name, { file, indexed }] of Object.entries(LOGS)) {
+      this.logs[name] = this.storage
+        ? this.storage.log(name, indexed)
+        : new JsonlLog(`${this.dbPath.replace(/\.json$/, '')}-${file}.jsonl`);
+      this.logIds[name] = this.logs[name].lastId();
+      this.pendingLogs[name] = [];
+    }
+
     this.data = {
       candidates: [],
       submissions: [],
       alerts: [],
-      syncHistory: []
+      syncHistory: [],
+      idAliases: [],
+      monitoringRuns: [],
+      monitoringState: [],
+      npiSnapshots: [],
+      npiChangeReports: [],
+      npiReviews: [],
+      settings: {}
     };
     this.loadDatabase();
   }
 
   loadDatabase() {
-    try {
-      if (fs.existsSync(this.dbPath)) {
-        const rawData = fs.readFileSync(this.dbPath, 'utf8');
-        this.data = JSON.parse(rawData);
-        console.log(`Database loaded: ${this.data.candidates?.length || 0} candidates, ${this.data.submissions?.length || 0} submissions`);
-      } else {
+    this.loadFromStorage();
+    this.migrateData();
+    this.moveLogsOut();
+  }
+
+  /**
+   * Move log entries still stored in the main data (older versions kept them there) into
+   * their own log, then drop them from the main data
+   */
+  moveLogsOut() {
+    let moved = 0;
+    for (const name of Object.keys(LOGS)) {
+      if (!Array.isArray(this.data[name])) continue;
+      const stored = this.data[name];
+      delete this.data[name];
+      if (stored.length === 0) continue;
+
+      // Entries already appended by an earlier, interrupted attempt are skipped
+      const entries = stored.filter(entry => entry.id > this.logIds[name]);
+      this.logs[name].append(entries);
+      this.logIds[name] = Math.max(this.logIds[name], ...entries.map(entry => entry.id));
+      console.log(`Moved ${entries.length} ${name} entries out of the main data`);
+      moved += stored.length;
+    }
+
+    if (moved > 0) {
+      this.changes = null;
+      this.saveDatabase();
+    }
+  }
+
+  /**
+   * Add an entry to an append-only log (written on the next save)
+   */
+  appendLog(name, entry) {
+    const record = { id: ++this.logIds[name], ...entry };
+    this.pendingLogs[name].push(record);
+    return record;
+  }
+
+  /**
+   * Log entries oldest first, including ones not saved yet
+   * @param {object} equals - { field: value or [values] } - indexed fields are looked up directly
+   */
+  readLog(name, equals = {}) {
+    return [
+      ...this.logs[name].read(equals),
+      ...this.pendingLogs[name].filter(entry => matchesFields(entry, equals))
+    ];
+  }
+
+  /**
+   * One page of log entries, newest first, reading only as much of the log as the page needs
+   * @param {object} options - { equals, filter(entry), stop(entry): no older entry can match, offset, limit }
+   * @returns {object} { entries, total, hasMore } - total is null when the log wasn't read to the end
+   */
+  readLogNewest(name, { offset = 0, limit = Infinity, ...options } = {}) {
+    // Unsaved entries are the newest
+    const pending = this.pendingLogs[name].slice().reverse();
+    const unsaved = pageNewest(pending, options).entries;
+    const entries = unsaved.slice(offset, offset + limit);
+    if (options.stop && pending.some(options.stop)) {
+      return { entries, total: unsaved.length, hasMore: unsaved.length > offset + limit };
+    }
+
+    const stored = this.logs[name].readNewest({
+      ...options,
+      offset: Math.max(0, offset - unsaved.length),
+      limit: limit - entries.length
+    });
+    return {
+      entries: [...entries, ...stored.entries],
+      total: stored.total === null ? null : stored.total + unsaved.length,
+      hasMore: unsaved.length > offset + limit || stored.hasMore
+    };
+  }
+
+  /**
+   * Bring loaded data up to the latest schema version (see migrations.js)
+   */
+  migrateData() {
+    if ((this.data.schemaVersion || 0) >= LATEST_VERSION) return;
+
+    console.log(`Migrating database from schema version ${this.data.schemaVersion || 0} to ${LATEST_VERSION}...`);
+    // Keep a copy of the pre-migration data (JSON backend)
+    this.backupDatabase(true);
+    runMigrations(this.data);
+    this.changes = null;
+    this.saveDatabase();
+  }
+
+  /**
+   * Load the data - stores without a schemaVersion predate versioning and get every migration,
+   * so only brand-new stores start at the latest version
+   */
+  loadFromStorage() {
+    if (this.storage) {
+      if (this.storage.isEmpty()) {
+        this.data.schemaVersion = LATEST_VERSION;
         this.saveDatabase();
-        console.log('New database created');
+        console.log(`New SQLite database created: ${this.sqlitePath}`);
+      } else {
+        this.data = { ...this.data, ...this.storage.load() };
+        console.log(`Database loaded (SQLite): ${this.data.candidates?.length || 0} candidates, ${this.data.submissions?.length || 0} submissions`);
       }
+      return;
+    }
+
+    if (!fs.existsSync(this.dbPath)) {
+      this.data.schemaVersion = LATEST_VERSION;
+      this.saveDatabase();
+      console.log('New database created');
+      return;
+    }
+
+    try {
+      this.data = this.readDataFile(this.dbPath);
+      console.log(`Database loaded: ${this.data.candidates?.length || 0} candidates, ${this.data.submissions?.length || 0} submissions`);
+      this.backupDatabase();
     } catch (error) {
       console.error('Error loading database:', error.message);
-      this.saveDatabase();
+      this.recoverFromBackup();
+    }
+  }
+
+  /**
+   * Read and parse a data file, rejecting anything that isn't a tracker database
+   */
+  readDataFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || typeof data !== 'object' || !Array.isArray(data.candidates)) {
+      throw new Error(`${filePath} is not a valid tracker database`);
+    }
+    return data;
+  }
+
+  /**
+   * Recover from an unreadable main file using the newest valid backup
+   * The unreadable file is moved aside, never overwritten - if it can't be moved, loading
+   * fails rather than carrying on with empty data that the next save would write over it.
+   */
+  recoverFromBackup() {
+    const corruptPath = `${this.dbPath}.corrupt-${this.timestamp()}`;
+    try {
+      fs.renameSync(this.dbPath, corruptPath);
+      console.error(`Unreadable database moved to ${corruptPath}`);
+    } catch (error) {
+      throw new Error(`${this.dbPath} is unreadable and could not be moved aside (${error.message}) - ` +
+        'refusing to start with an empty database. Fix or move the file and restart.');
+    }
+
+    for (const backup of this.listBackups()) {
+      try {
+        this.data = this.readDataFile(backup.path);
+        console.log(`Database recovered from backup ${backup.name}: ${this.data.candidates.length} candidates, ${(this.data.submissions || []).length} submissions`);
+        this.saveDatabase();
+        return;
+      } catch (error) {
+        console.error(`Backup ${backup.name} is unreadable: ${error.message}`);
+      }
+    }
+
+    console.error('No valid backup found - starting with an empty database');
+    this.data.schemaVersion = LATEST_VERSION;
+    this.saveDatabase();
+  }
+
+  /**
+   * Write a file atomically: temp file + fsync + rename
+   * A crash mid-write leaves either the old file or the new one, never a truncated file.
+   */
+  writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+
+    // Persist the rename itself (not supported on every platform)
+    try {
+      const dirFd = fs.openSync(path.dirname(filePath), 'r');
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
+    } catch (e) {
+      // Ignore - e.g. Windows can't fsync directories
+    }
+  }
+
+  timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+  }
+
+  /**
+   * List backups, newest first
+   */
+  listBackups() {
+    if (!fs.existsSync(this.backupDir)) return [];
+    const base = path.basename(this.dbPath, '.json');
+    return fs.readdirSync(this.backupDir)
+      .filter(name => name.startsWith(`${base}-`) && name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(name => ({ name, path: path.join(this.backupDir, name) }));
+  }
+
+  /**
+   * Copy the current database file into the backup directory and prune old backups
+   * Skipped if a backup was taken within the backup interval, unless forced.
+   */
+  backupDatabase(force = false) {
+    if (this.storage || !fs.existsSync(this.dbPath)) return null;
+
+    const now = Date.now();
+    if (!this.lastBackupTime) {
+      const newest = this.listBackups()[0];
+      this.lastBackupTime = newest ? fs.statSync(newest.path).mtimeMs : 0;
+    }
+    if (!force && now - this.lastBackupTime < this.backupIntervalMs) return null;
+
+    try {
+      fs.mkdirSync(this.backupDir, { recursive: true });
+      const backupPath = path.join(this.backupDir, `${path.basename(this.dbPath, '.json')}-${this.timestamp()}.json`);
+      fs.copyFileSync(this.dbPath, backupPath);
+      this.lastBackupTime = now;
+
+      for (const old of this.listBackups().slice(this.backupCount)) {
+        fs.unlinkSync(old.path);
+      }
+      return backupPath;
+    } catch (error) {
+      console.error('Error backing up database:', error.message);
+      return null;
     }
   }
 
   saveDatabase() {
+    // Inside batch() - the outermost call saves once at the end
+    if (this.batchDepth > 0 || this.savesHeld > 0) return;
+
     try {
-      fs.writeFileSync(this.dbPath, JSON.stringify(this.data, null, 2));
+      if (this.storage) {
+        this.storage.save(this.data, this.changes);
+        this.changes = new Map();
+      } else {
+        this.writeFileAtomic(this.dbPath, JSON.stringify(this.data, null, 2));
+        this.backupDatabase();
+      }
+
+      for (const [name, entries] of Object.entries(this.pendingLogs)) {
+        if (entries.length === 0) continue;
+        this.logs[name].append(entries);
+        this.pendingLogs[name] = [];
+      }
     } catch (error) {
       console.error('Error saving database:', error.message);
     }
   }
 
+  /**
+   * Run a synchronous function with saves deferred, then persist once
+   * (one SQLite transaction / one file write instead of one per record)
+   */
+  batch(fn) {
+    this.batchDepth++;
+    try {
+      return fn();
+    } finally {
+      this.batchDepth--;
+      this.saveDatabase();
+    }
+  }
+
+  /**
+   * Hold the JSON backend's saves (each rewrites the whole file) during a long async job that
+   * saves at its own checkpoints. SQLite saves only write the changed rows, so they aren't held.
+   * @returns {object} { save() - persist now, release() - stop holding and persist }
+   */
+  holdSaves() {
+    if (this.storage) return { save: () => {}, release: () => {} };
+
+    this.savesHeld++;
+    let held = true;
+    return {
+      save: () => {
+        if (held) this.savesHeld--;
+        try {
+          this.saveDatabase();
+        } finally {
+          if (held) this.savesHeld++;
+        }
+      },
+      release: () => {
+        if (held) this.savesHeld--;
+        held = false;
+        this.saveDatabase();
+      }
+    };
+  }
+
+  /**
+   * Note changed records so the SQLite backend writes only those on the next save
+   * Without records (or for records without an id) the whole collection is compared,
+   * e.g. after records were removed from it.
+   */
+  touch(collection, ...records) {
+    if (!this.storage || !this.changes) return;
+    if (records.length === 0 || records.some(r => !r || r.id === undefined || r.id === null)) {
+      this.changes.set(collection, null);
+      return;
+    }
+    if (this.changes.has(collection) && !this.changes.get(collection)) return;
+
+    const changed = this.changes.get(collection) || new Set();
+    records.forEach(record => changed.add(record));
+    this.changes.set(collection, changed);
+  }
+
   close() {
+    this.savesHeld = 0;
     this.saveDatabase();
+    if (this.storage) this.storage.close();
     console.log('Database closed');
   }
 
   // Get dashboard statistics
   getStats() {
-    const candidates = this.data.candidates || [];
-    const submissions = this.data.submissions || [];
-    const alerts = this.data.alerts || [];
+    const candidates = this.getAllCandidates();
+    const submissions = this.getAllSubmissions();
+    const alerts = this.getAllAlerts();
 
     return {
       totalCandidates: candidates.length,
@@ -63,28 +510,26 @@ class DatabaseManager {
 
   // Get active submissions
   getActiveSubmissions() {
-    return (this.data.submissions || []).filter(s => s.status !== 'closed');
+    return this.getAllSubmissions().filter(s => s.status !== 'closed');
   }
 
   // Insert a new candidate
-  insertCandidate(candidateData) {
-    // Check if candidate already exists by loxo_id or name
-    const existing = this.data.candidates.find(c =>
-      c.loxo_id === candidateData.loxo_id ||
-      c.full_name?.toLowerCase() === candidateData.full_name?.toLowerCase()
-    );
+  insertCandidate(candidateData, context = {}) {
+    // Check if candidate already exists by loxo_id or name (trashed candidates don't count)
+    const existing = this.findDuplicateCandidate(candidateData);
 
     if (existing) {
       // Update existing candidate
-      Object.assign(existing, candidateData, { updated_at: new Date().toISOString() });
+      const before = { ...existing };
+      Object.assign(existing, withNameHistory(existing, guardNpiUpdate(existing, candidateData), context), { updated_at: new Date().toISOString() });
+      this.touch('candidates', existing);
+      this.recordAudit({ entity: 'candidate', entityId: existing.id, action: 'update', before, after: existing }, context);
       this.saveDatabase();
       return { changes: 0, lastInsertRowid: existing.id };
     }
 
     // Create new candidate
-    const newId = (this.data.candidates.length > 0)
-      ? Math.max(...this.data.candidates.map(c => c.id || 0)) + 1
-      : 1;
+    const newId = this.nextId();
 
     const newCandidate = {
       id: newId,
@@ -94,37 +539,82 @@ class DatabaseManager {
     };
 
     this.data.candidates.push(newCandidate);
+    this.touch('candidates', newCandidate);
+    this.recordAudit({ entity: 'candidate', entityId: newId, action: 'create', after: newCandidate }, context);
     this.saveDatabase();
     return { changes: 1, lastInsertRowid: newId };
   }
 
+  /**
+   * Next ID from the sequence shared by candidates, submissions and alerts
+   * IDs are unique integers across all three collections.
+   */
+  nextId() {
+    if (!Number.isInteger(this.data.idSequence)) {
+      const ids = [...this.data.candidates, ...this.data.submissions, ...this.data.alerts]
+        .map(r => r.id)
+        .filter(id => Number.isSafeInteger(id));
+      this.data.idSequence = ids.length > 0 ? Math.max(...ids) : 0;
+    }
+    this.data.idSequence++;
+    return this.data.idSequence;
+  }
+
+  /**
+   * Resolve an ID from a request (e.g. "/api/alerts/:id") to a current record ID
+   * Pre-migration IDs (like old float alert IDs) resolve through the alias table.
+   * @param {string} entity - 'candidate', 'submission' or 'alert'
+   * @returns {number|null}
+   */
+  resolveId(entity, rawId) {
+    const alias = (this.data.idAliases || []).find(a => a.entity === entity && a.old_id === String(rawId));
+    if (alias) return alias.new_id;
+
+    const id = Number(rawId);
+    return Number.isSafeInteger(id) ? id : null;
+  }
+
+  // Find a live candidate with the same loxo_id or name
+  findDuplicateCandidate(candidateData, excludeId = null) {
+    return this.data.candidates.find(c =>
+      isLive(c) && c.id !== excludeId && (
+        c.loxo_id === candidateData.loxo_id ||
+        c.full_name?.toLowerCase() === candidateData.full_name?.toLowerCase()
+      )
+    );
+  }
+
   // Get candidate by Loxo ID
   getCandidateByLoxoId(loxoId) {
-    return this.data.candidates.find(c => c.loxo_id === loxoId);
+    return this.data.candidates.find(c => isLive(c) && c.loxo_id === loxoId);
   }
 
   // Get candidate by ID
   getCandidateById(id) {
-    return this.data.candidates.find(c => c.id === id);
+    return this.data.candidates.find(c => isLive(c) && c.id === id);
   }
 
   // Insert a new submission
-  insertSubmission(submissionData) {
+  insertSubmission(submissionData, context = {}) {
     // Check if submission already exists
     const existing = this.data.submissions.find(s =>
+      isLive(s) &&
       s.candidate_id === submissionData.candidate_id &&
-      s.client_name?.toLowerCase() === submissionData.client_name?.toLowerCase()
+      s.client_name?.toLowerCase() === submissionData.client_name?.toLowerCase() &&
+      // Two Loxo jobs at the same client are separate submissions
+      !(s.loxo_job_id && submissionData.loxo_job_id && String(s.loxo_job_id) !== String(submissionData.loxo_job_id))
     );
 
     if (existing) {
+      const before = { ...existing };
       Object.assign(existing, submissionData, { updated_at: new Date().toISOString() });
+      this.touch('submissions', existing);
+      this.recordAudit({ entity: 'submission', entityId: existing.id, action: 'update', before, after: existing }, context);
       this.saveDatabase();
       return { changes: 0, lastInsertRowid: existing.id };
     }
 
-    const newId = (this.data.submissions.length > 0)
-      ? Math.max(...this.data.submissions.map(s => s.id || 0)) + 1
-      : 1;
+    const newId = this.nextId();
 
     const newSubmission = {
       id: newId,
@@ -135,14 +625,16 @@ class DatabaseManager {
     };
 
     this.data.submissions.push(newSubmission);
+    this.touch('submissions', newSubmission);
+    this.recordAudit({ entity: 'submission', entityId: newId, action: 'create', after: newSubmission }, context);
     this.saveDatabase();
     return { changes: 1, lastInsertRowid: newId };
   }
 
   // Insert a new alert
-  insertAlert(alertData) {
-    // Check for duplicate alert
-    const existing = this.data.alerts.find(a =>
+  insertAlert(alertData, context = {}) {
+    // Check for duplicate alert (only typed alerts carry a dedupe key)
+    const existing = alertData.alert_type && this.data.alerts.find(a =>
       a.candidate_id === alertData.candidate_id &&
       a.alert_type === alertData.alert_type &&
       a.business_found === alertData.business_found
@@ -152,9 +644,7 @@ class DatabaseManager {
       return { changes: 0, lastInsertRowid: existing.id };
     }
 
-    const newId = (this.data.alerts.length > 0)
-      ? Math.max(...this.data.alerts.map(a => a.id || 0)) + 1
-      : 1;
+    const newId = this.nextId();
 
     const newAlert = {
       id: newId,
@@ -164,46 +654,711 @@ class DatabaseManager {
     };
 
     this.data.alerts.push(newAlert);
+    this.touch('alerts', newAlert);
+    this.recordAudit({ entity: 'alert', entityId: newId, action: 'create', after: newAlert }, context);
     this.saveDatabase();
     return { changes: 1, lastInsertRowid: newId };
   }
 
-  // Get all candidates
+  // Get alert by ID
+  getAlertById(id) {
+    return this.data.alerts.find(a => isLive(a) && a.id === id);
+  }
+
+  // Get all candidates (excluding trashed)
   getAllCandidates() {
-    return this.data.candidates || [];
+    return (this.data.candidates || []).filter(isLive);
   }
 
-  // Get all submissions
+  // Get all submissions (excluding trashed)
   getAllSubmissions() {
-    return this.data.submissions || [];
+    return (this.data.submissions || []).filter(isLive);
   }
 
-  // Get all alerts
+  // Get all alerts (excluding trashed)
   getAllAlerts() {
-    return this.data.alerts || [];
+    return (this.data.alerts || []).filter(isLive);
   }
 
   // Update candidate
-  updateCandidate(id, updates) {
-    const candidate = this.data.candidates.find(c => c.id === id);
+  updateCandidate(id, updates, context = {}) {
+    const candidate = this.getCandidateById(id);
     if (candidate) {
-      Object.assign(candidate, updates, { updated_at: new Date().toISOString() });
+      const before = { ...candidate };
+      Object.assign(candidate, withNameHistory(candidate, guardNpiUpdate(candidate, updates), context), { updated_at: new Date().toISOString() });
+      this.touch('candidates', candidate);
+      this.recordAudit({ entity: 'candidate', entityId: id, action: 'update', before, after: candidate }, context);
       this.saveDatabase();
       return { changes: 1 };
     }
     return { changes: 0 };
   }
 
+  /**
+   * Replace a candidate's aliases (maiden, preferred, former or other names)
+   * @param {Array} aliases - [{ name, type }]
+   */
+  setCandidateAliases(id, aliases, context = {}) {
+    const candidate = this.getCandidateById(id);
+    if (!candidate) return { changes: 0 };
+    return this.updateCandidate(id, { aliases: cleanAliases(aliases, candidate.full_name, context) }, context);
+  }
+
+  /**
+   * Add aliases to the ones a candidate already has (e.g. from a CSV import)
+   */
+  addCandidateAliases(id, aliases, context = {}) {
+    const candidate = this.getCandidateById(id);
+    if (!candidate) return { changes: 0 };
+    return this.setCandidateAliases(id, [...(candidate.aliases || []), ...aliases], context);
+  }
+
+  // Update submission
+  updateSubmission(id, updates, context = {}) {
+    const submission = this.data.submissions.find(s => isLive(s) && s.id === id);
+    if (submission) {
+      const before = { ...submission };
+      Object.assign(submission, updates, { updated_at: new Date().toISOString() });
+      this.touch('submissions', submission);
+      this.recordAudit({ entity: 'submission', entityId: id, action: 'update', before, after: submission }, context);
+      this.saveDatabase();
+      return { changes: 1 };
+    }
+    return { changes: 0 };
+  }
+
+  /**
+   * Move a candidate and their submissions and alerts to the trash
+   * Records get deleted_at; the cascaded ones are tagged so a restore brings back exactly those.
+   */
+  deleteCandidate(id, context = {}) {
+    const candidate = this.getCandidateById(id);
+    if (!candidate) return { changes: 0 };
+
+    const now = new Date().toISOString();
+    const trash = { deleted_at: now, deleted_by: context.actor || 'system' };
+    const cascaded = [
+      ...this.data.submissions.filter(s => isLive(s) && s.candidate_id === id).map(record => ['submission', record]),
+      ...this.data.alerts.filter(a => isLive(a) && a.candidate_id === id).map(record => ['alert', record])
+    ];
+
+    for (const [entity, record] of [['candidate', candidate], ...cascaded]) {
+      const before = { ...record };
+      Object.assign(record, trash, entity === 'candidate' ? {} : { deleted_with: id });
+      this.touch(COLLECTIONS[entity], record);
+      this.recordAudit({ entity, entityId: record.id, action: 'delete', before, after: record }, context);
+    }
+
+    this.saveDatabase();
+    return { changes: 1 + cascaded.length };
+  }
+
+  /**
+   * Restore a trashed candidate along with the records deleted with them
+   * @returns {object} { changes } or { error } if a live candidate now has the same loxo_id/name
+   */
+  restoreCandidate(id, context = {}) {
+    const candidate = this.data.candidates.find(c => c.id === id && !isLive(c));
+    if (!candidate) return { changes: 0 };
+
+    const duplicate = this.findDuplicateCandidate(candidate, id);
+    if (duplicate) {
+      return { changes: 0, error: `Candidate "${duplicate.full_name}" (ID ${duplicate.id}) already exists` };
+    }
+
+    const cascaded = [
+      ...this.data.submissions.filter(s => s.deleted_with === id).map(record => ['submission', record]),
+      ...this.data.alerts.filter(a => a.deleted_with === id).map(record => ['alert', record])
+    ];
+
+    for (const [entity, record] of [['candidate', candidate], ...cascaded]) {
+      const before = { ...record };
+      delete record.deleted_at;
+      delete record.deleted_by;
+      delete record.deleted_with;
+      this.touch(COLLECTIONS[entity], record);
+      this.recordAudit({ entity, entityId: record.id, action: 'restore', before, after: record }, context);
+    }
+
+    this.saveDatabase();
+    return { changes: 1 + cascaded.length };
+  }
+
+  /**
+   * Trashed candidates with the number of records deleted with them and when they'll be purged
+   */
+  getTrash() {
+    const retentionMs = this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    return this.data.candidates
+      .filter(c => !isLive(c))
+      .map(c => ({
+        ...c,
+        submissionCount: this.data.submissions.filter(s => s.deleted_with === c.id).length,
+        alertCount: this.data.alerts.filter(a => a.deleted_with === c.id).length,
+        purge_at: new Date(new Date(c.deleted_at).getTime() + retentionMs).toISOString()
+      }))
+      .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+  }
+
+  /**
+   * Permanently remove records that have been in the trash longer than the retention period
+   * @returns {number} number of records purged
+   */
+  purgeDeleted(retentionDays = this.trashRetentionDays, context = { origin: 'trash_purge' }) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    let purged = 0;
+
+    for (const [entity, key] of Object.entries(COLLECTIONS)) {
+      const expired = this.data[key].filter(r => r.deleted_at && r.deleted_at <= cutoff);
+      if (expired.length === 0) continue;
+
+      for (const record of expired) {
+        this.recordAudit({ entity, entityId: record.id, action: 'purge', before: record }, context);
+      }
+      const expiredIds = new Set(expired.map(r => r.id));
+      this.data[key] = this.data[key].filter(r => !expiredIds.has(r.id));
+      this.touch(key);
+      if (entity === 'candidate') {
+        this.data.monitoringState = (this.data.monitoringState || []).filter(s => !expiredIds.has(s.candidate_id));
+        this.data.npiSnapshots = (this.data.npiSnapshots || []).filter(s => !expiredIds.has(s.candidate_id));
+        this.data.npiReviews = (this.data.npiReviews || []).filter(r => !expiredIds.has(r.candidate_id));
+        this.touch('monitoringState');
+        this.touch('npiSnapshots');
+        this.touch('npiReviews');
+      }
+      purged += expired.length;
+    }
+
+    if (purged > 0) {
+      this.saveDatabase();
+      console.log(`🗑️  Purged ${purged} record(s) deleted more than ${retentionDays} days ago`);
+    }
+    return purged;
+  }
+
+  /**
+   * Delete audit entries older than the retention period (AUDIT_RETENTION_DAYS, 0 = keep all)
+   * @returns {number} entries deleted
+   */
+  pruneAuditLog(retentionDays = this.auditRetentionDays) {
+    if (!retentionDays) return 0;
+    this.saveDatabase();
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const pruned = this.logs.auditLog.prune('timestamp', cutoff);
+    if (pruned > 0) console.log(`🗑️  Pruned ${pruned} audit entries older than ${retentionDays} days`);
+    return pruned;
+  }
+
+  // Get a persisted setting (e.g. monitoring schedule)
+  getSetting(key, defaultValue = null) {
+    const settings = this.data.settings || {};
+    return settings[key] !== undefined ? settings[key] : defaultValue;
+  }
+
+  // Save a persisted setting (pass a null context for bookkeeping values that shouldn't be audited)
+  setSetting(key, value, context = {}) {
+    if (!this.data.settings) this.data.settings = {};
+    const before = this.data.settings[key];
+    this.data.settings[key] = value;
+    if (context) this.recordAudit({
+      entity: 'setting',
+      entityId: key,
+      action: before === undefined ? 'create' : 'update',
+      before: before && typeof before === 'object' ? before : { value: before },
+      after: value && typeof value === 'object' ? value : { value }
+    }, context);
+    this.saveDatabase();
+    return value;
+  }
+
   // Update alert
-  updateAlert(id, updates) {
-    const alert = this.data.alerts.find(a => a.id === id);
+  updateAlert(id, updates, context = {}) {
+    const alert = this.getAlertById(id);
     if (alert) {
+      const before = { ...alert };
       Object.assign(alert, updates);
+      this.touch('alerts', alert);
+      this.recordAudit({ entity: 'alert', entityId: id, action: 'update', before, after: alert }, context);
       this.saveDatabase();
       return { changes: 1 };
     }
     return { changes: 0 };
   }
+
+  /**
+   * Append an entry to the audit log (append-only - entries are never edited)
+   * The caller is responsible for saving.
+   * @param {object} change - { entity, entityId, action: 'create'|'update'|'delete', before, after }
+   * @param {object} context - { actor, origin: 'ui'|'csv_import'|'loxo_sync'|'scheduler'|..., source }
+   */
+  recordAudit({ entity, entityId, action, before = null, after = null }, context = {}) {
+    const changes = diffFields(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+    return this.appendLog('auditLog', {
+      timestamp: new Date().toISOString(),
+      actor: context.actor || 'system',
+      origin: context.origin || 'system',
+      source: context.source || null,
+      entity,
+      entity_id: entityId,
+      action,
+      changes
+    });
+  }
+
+  /**
+   * Query the audit log, newest first
+   * @param {object} filters - { entity, entityId, actor, origin, action, field, since, until, limit, offset }
+   */
+  getAuditLog(filters = {}) {
+    const offset = filters.offset || 0;
+    const limit = filters.limit || 100;
+    const page = this.readLogNewest('auditLog', {
+      equals: {
+        entity: filters.entity || null,
+        entity_id: filters.entityId !== undefined && filters.entityId !== null ? idValues(filters.entityId) : null,
+        actor: filters.actor || null,
+        origin: filters.origin || null,
+        action: filters.action || null
+      },
+      filter: filters.field || filters.until
+        ? e => (!filters.field || (e.changes && filters.field in e.changes)) && (!filters.until || e.timestamp <= filters.until)
+        : null,
+      // Entries are appended in time order, so reading stops at the first one before `since`
+      stop: filters.since ? e => e.timestamp < filters.since : null,
+      offset,
+      limit
+    });
+
+    return { total: page.total, offset, limit, hasMore: page.hasMore, entries: page.entries };
+  }
+
+  /**
+   * Start recording a monitoring run
+   * @param {object} run - { trigger, actor, config, candidateIds }
+   */
+  startMonitoringRun(run) {
+    if (!Array.isArray(this.data.monitoringRuns)) this.data.monitoringRuns = [];
+    const last = this.data.monitoringRuns[this.data.monitoringRuns.length - 1];
+
+    const newRun = {
+      id: last ? last.id + 1 : 1,
+      trigger: run.trigger,
+      actor: run.actor || 'system',
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      config: run.config || {},
+      // Checkpoint: the run's candidate order and the next { phase, index } to process
+      candidate_ids: run.candidateIds || [],
+      cursor: null,
+      totals: {},
+      result_count: 0,
+      error: null
+    };
+
+    this.data.monitoringRuns.push(newRun);
+    this.touch('monitoringRuns', newRun);
+    this.pruneMonitoringRuns();
+    this.saveDatabase();
+    return newRun;
+  }
+
+  /**
+   * Append a result row (one candidate x submission check) to a run
+   * Written to the results log with the run's next checkpoint.
+   */
+  addMonitoringResult(runId, result) {
+    const run = (this.data.monitoringRuns || []).find(r => r.id === runId);
+    const record = this.appendLog('monitoringResults', {
+      run_id: runId,
+      ...result,
+      checked_at: new Date().toISOString()
+    });
+
+    if (run) {
+      run.result_count = (run.result_count || 0) + 1;
+      // Where the run's rows start in the log, so reading them back can stop there
+      if (!run.first_result_id) run.first_result_id = record.id;
+      this.touch('monitoringRuns', run);
+    }
+    return record;
+  }
+
+  // Update a monitoring run (checkpoints, resume bookkeeping)
+  updateMonitoringRun(runId, updates) {
+    const run = (this.data.monitoringRuns || []).find(r => r.id === runId);
+    if (!run) return null;
+
+    Object.assign(run, updates);
+    this.touch('monitoringRuns', run);
+    this.saveDatabase();
+    return run;
+  }
+
+  // Mark a monitoring run finished with its totals
+  finishMonitoringRun(runId, updates) {
+    return this.updateMonitoringRun(runId, { finished_at: new Date().toISOString(), ...updates });
+  }
+
+  /**
+   * Monitoring runs, newest first (without result rows)
+   */
+  getMonitoringRuns({ limit = 20, offset = 0, status = null } = {}) {
+    let runs = this.data.monitoringRuns || [];
+    if (status) runs = runs.filter(r => r.status === status);
+
+    return {
+      total: runs.length,
+      runs: runs.slice().reverse().slice(offset, offset + limit)
+        .map(({ candidate_ids, result_count, ...run }) => ({ ...run, resultCount: result_count || 0 }))
+    };
+  }
+
+  // A single monitoring run with all of its result rows
+  getMonitoringRun(runId) {
+    const run = (this.data.monitoringRuns || []).find(r => r.id === runId);
+    if (!run) return null;
+    const { entries } = this.readLogNewest('monitoringResults', {
+      equals: { run_id: runId },
+      stop: run.first_result_id ? e => e.id < run.first_result_id : null
+    });
+    return { ...run, results: entries.reverse() };
+  }
+
+  /**
+   * Per-candidate monitoring state: last-seen NPI snapshot and when each source was last checked
+   */
+  getMonitoringState(candidateId) {
+    return (this.data.monitoringState || []).find(s => s.candidate_id === candidateId) || null;
+  }
+
+  /**
+   * Merge updates into a candidate's monitoring state - caller saves
+   * (the scheduler persists it with its run checkpoints)
+   */
+  updateMonitoringState(candidateId, updates) {
+    if (!Array.isArray(this.data.monitoringState)) this.data.monitoringState = [];
+    let state = this.getMonitoringState(candidateId);
+    if (!state) {
+      state = { id: candidateId, candidate_id: candidateId };
+      this.data.monitoringState.push(state);
+    }
+    Object.assign(state, updates);
+    this.touch('monitoringState', state);
+    return state;
+  }
+
+  /**
+   * NPI record versions for a candidate, oldest first
+   */
+  getNpiSnapshots(candidateId) {
+    return (this.data.npiSnapshots || []).filter(s => s.candidate_id === candidateId);
+  }
+
+  /**
+   * Store an NPI record for a candidate if it differs from their latest version
+   * Identical records only refresh last_seen_at on the latest version.
+   * @param {object} snapshot - from npiService.buildSnapshot()
+   * @param {object} meta - { source: 'searchByName'|'searchByNPI', changes }
+   * @returns {object} { snapshot, previous, created }
+   */
+  recordNpiSnapshot(candidateId, snapshot, meta = {}) {
+    if (!Array.isArray(this.data.npiSnapshots)) this.data.npiSnapshots = [];
+    const history = this.getNpiSnapshots(candidateId);
+    const previous = history[history.length - 1] || null;
+    const now = new Date().toISOString();
+
+    if (previous && Object.keys(diffFields(
+      { npi: previous.npi, last_updated: previous.last_updated, organization: previous.organization, address: previous.address, taxonomy: previous.taxonomy },
+      snapshot
+    )).length === 0) {
+      previous.last_seen_at = now;
+      this.touch('npiSnapshots', previous);
+      return { snapshot: previous, previous, created: false };
+    }
+
+    const last = this.data.npiSnapshots[this.data.npiSnapshots.length - 1];
+    const record = {
+      id: last ? last.id + 1 : 1,
+      candidate_id: candidateId,
+      version: previous ? previous.version + 1 : 1,
+      ...snapshot,
+      source: meta.source || null,
+      // Tracked-field changes from the previous version (null for the first version)
+      changes: previous ? (meta.changes || {}) : null,
+      captured_at: now,
+      last_seen_at: now
+    };
+
+    this.data.npiSnapshots.push(record);
+    this.touch('npiSnapshots', record);
+    return { snapshot: record, previous, created: true };
+  }
+
+  /**
+   * Save a weekly NPPES change report (see nppesWeeklyDiff.js) - the caller saves
+   */
+  addNpiChangeReport(report) {
+    if (!Array.isArray(this.data.npiChangeReports)) this.data.npiChangeReports = [];
+    const last = this.data.npiChangeReports[this.data.npiChangeReports.length - 1];
+    const record = { id: last ? last.id + 1 : 1, ...report, created_at: new Date().toISOString() };
+    this.data.npiChangeReports.push(record);
+    this.touch('npiChangeReports', record);
+    return record;
+  }
+
+  /**
+   * Weekly NPPES change reports, newest first
+   */
+  getNpiChangeReports({ limit = 20, offset = 0 } = {}) {
+    const reports = [...(this.data.npiChangeReports || [])].reverse();
+    return { total: reports.length, reports: reports.slice(offset, offset + limit) };
+  }
+
+  getNpiChangeReport(id) {
+    return (this.data.npiChangeReports || []).find(r => r.id === id) || null;
+  }
+
+  /**
+   * Set, clear or lock a candidate's NPI - the only path that changes a locked NPI
+   * @param {object} changes - { npi_number, npi_locked, confirmed }
+   */
+  setCandidateNpi(id, changes, context = {}) {
+    const candidate = this.getCandidateById(id);
+    if (!candidate) return { changes: 0 };
+
+    const before = { ...candidate };
+    const now = new Date().toISOString();
+    if ('npi_number' in changes) {
+      candidate.npi_number = changes.npi_number || '';
+      // Picking an NPI explicitly overrides an earlier rejection of it
+      if (candidate.npi_rejected) candidate.npi_rejected = candidate.npi_rejected.filter(n => n !== candidate.npi_number);
+    }
+    if ('npi_locked' in changes) candidate.npi_locked = !!changes.npi_locked && !!candidate.npi_number;
+    if (changes.confirmed) {
+      candidate.npi_confirmed_by = context.actor || 'system';
+      candidate.npi_confirmed_at = now;
+    }
+    candidate.updated_at = now;
+    this.touch('candidates', candidate);
+
+    this.recordAudit({ entity: 'candidate', entityId: id, action: 'update', before, after: candidate }, context);
+    this.saveDatabase();
+    return { changes: 1 };
+  }
+
+  /**
+   * Reject an NPI for a candidate so it is never suggested or assigned again
+   * Clears (and unlocks) the candidate's NPI if it was the rejected one, and drops it from their pending review.
+   */
+  rejectCandidateNpi(id, npi, context = {}) {
+    const candidate = this.getCandidateById(id);
+    if (!candidate) return { changes: 0 };
+
+    const before = { ...candidate };
+    candidate.npi_rejected = [...new Set([...(candidate.npi_rejected || []), npi])];
+    if (candidate.npi_number === npi) {
+      Object.assign(candidate, { npi_number: '', npi_locked: false, npi_confirmed_by: null, npi_confirmed_at: null });
+    }
+    candidate.updated_at = new Date().toISOString();
+    this.touch('candidates', candidate);
+    this.recordAudit({ entity: 'candidate', entityId: id, action: 'update', before, after: candidate }, context);
+
+    const review = this.getPendingNpiReview(id);
+    if (review) {
+      this.touch('npiReviews', review);
+      review.options = review.options.filter(o => o.npi !== npi);
+      review.updated_at = candidate.updated_at;
+      if (review.options.length === 0) {
+        Object.assign(review, { status: 'dismissed', resolved_by: context.actor || 'system', resolved_at: review.updated_at });
+      }
+    }
+
+    this.saveDatabase();
+    return { changes: 1 };
+  }
+
+  /**
+   * Open (or refresh) the pending NPI review for a candidate with ambiguous matches
+   * @param {Array} options - provider summaries from npiService.summarizeProvider()
+   */
+  openNpiReview(candidate, options, context = {}) {
+    if (!Array.isArray(this.data.npiReviews)) this.data.npiReviews = [];
+    const now = new Date().toISOString();
+    const rejected = new Set(candidate.npi_rejected || []);
+    options = options.filter(o => !rejected.has(o.npi));
+
+    let review = this.getPendingNpiReview(candidate.id);
+    if (review) {
+      Object.assign(review, { candidate_name: candidate.full_name, options, updated_at: now });
+    } else {
+      const last = this.data.npiReviews[this.data.npiReviews.length - 1];
+      review = {
+        id: last ? last.id + 1 : 1,
+        candidate_id: candidate.id,
+        candidate_name: candidate.full_name,
+        status: 'pending',
+        source: context.origin || null,
+        options,
+        created_at: now,
+        updated_at: now,
+        resolved_npi: null,
+        resolved_by: null,
+        resolved_at: null
+      };
+      this.data.npiReviews.push(review);
+    }
+    this.touch('npiReviews', review);
+
+    this.saveDatabase();
+    return review;
+  }
+
+  getPendingNpiReview(candidateId) {
+    return (this.data.npiReviews || []).find(r => r.candidate_id === candidateId && r.status === 'pending') || null;
+  }
+
+  getNpiReview(id) {
+    return (this.data.npiReviews || []).find(r => r.id === id) || null;
+  }
+
+  /**
+   * NPI reviews for live candidates, newest first
+   * @param {string} status - pending, confirmed, dismissed or 'all'
+   */
+  getNpiReviews(status = 'pending') {
+    const live = new Set(this.getAllCandidates().map(c => c.id));
+    return (this.data.npiReviews || [])
+      .filter(r => live.has(r.candidate_id) && (status === 'all' || r.status === status))
+      .reverse();
+  }
+
+  /**
+   * Confirm one of a review's providers as the candidate's NPI
+   * @returns {object} the review, or { error }
+   */
+  confirmNpiReview(id, npi, { lock = true } = {}, context = {}) {
+    const review = this.getNpiReview(id);
+    if (!review) return { error: 'Review not found' };
+    if (review.status !== 'pending') return { error: `Review is already ${review.status}` };
+    if (!review.options.some(o => o.npi === npi)) return { error: `NPI ${npi} is not one of this review's options` };
+
+    return this.batch(() => {
+      const result = this.setCandidateNpi(review.candidate_id, { npi_number: npi, npi_locked: lock, confirmed: true }, context);
+      if (result.changes === 0) return { error: 'Candidate not found' };
+
+      Object.assign(review, {
+        status: 'confirmed',
+        resolved_npi: npi,
+        resolved_by: context.actor || 'system',
+        resolved_at: new Date().toISOString()
+      });
+      review.updated_at = review.resolved_at;
+      this.touch('npiReviews', review);
+      return review;
+    });
+  }
+
+  /**
+   * Start recording a Loxo sync in syncHistory
+   * @param {object} sync - { mode: 'full'|'incremental', reason, trigger, actor, since }
+   */
+  startSync(sync) {
+    if (!Array.isArray(this.data.syncHistory)) this.data.syncHistory = [];
+    const last = this.data.syncHistory[this.data.syncHistory.length - 1];
+
+    const entry = {
+      id: last && last.id ? last.id + 1 : 1,
+      mode: sync.mode,
+      reason: sync.reason || null,
+      trigger: sync.trigger || 'manual',
+      actor: sync.actor || 'system',
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      // High-water marks the sync asked for changes since, and the ones it reached
+      since: sync.since || {},
+      high_water_marks: {},
+      stats: {},
+      error: null
+    };
+
+    this.data.syncHistory.push(entry);
+    this.touch('syncHistory', entry);
+    if (this.data.syncHistory.length > this.syncHistoryLimit) {
+      this.data.syncHistory = this.data.syncHistory.slice(-this.syncHistoryLimit);
+      this.touch('syncHistory');
+    }
+    this.saveDatabase();
+    return entry;
+  }
+
+  // Mark a Loxo sync finished (status 'success' or 'failed') with its stats and marks
+  finishSync(id, updates) {
+    const entry = (this.data.syncHistory || []).find(s => s.id === id);
+    if (!entry) return null;
+
+    Object.assign(entry, { finished_at: new Date().toISOString() }, updates);
+    this.touch('syncHistory', entry);
+    this.saveDatabase();
+    return entry;
+  }
+
+  /**
+   * Loxo syncs, newest first
+   */
+  getSyncHistory({ limit = 20, offset = 0 } = {}) {
+    const syncs = [...(this.data.syncHistory || [])].reverse();
+    return { total: syncs.length, syncs: syncs.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Most recent successful Loxo sync (optionally of one mode)
+   */
+  getLastSync(mode = null) {
+    const syncs = this.data.syncHistory || [];
+    for (let i = syncs.length - 1; i >= 0; i--) {
+      if (syncs[i].status === 'success' && (!mode || syncs[i].mode === mode)) return syncs[i];
+    }
+    return null;
+  }
+
+  /**
+   * Everything that happened to a candidate, newest first: audit entries for the candidate
+   * and their submissions/alerts, plus NPI record versions
+   */
+  getCandidateTimeline(candidateId) {
+    const submissionIds = this.data.submissions.filter(s => s.candidate_id === candidateId).flatMap(s => idValues(s.id));
+    const alertIds = this.data.alerts.filter(a => a.candidate_id === candidateId).flatMap(a => idValues(a.id));
+
+    const events = [
+      ...this.readLog('auditLog', { entity: 'candidate', entity_id: idValues(candidateId) }),
+      ...(submissionIds.length > 0 ? this.readLog('auditLog', { entity: 'submission', entity_id: submissionIds }) : []),
+      ...(alertIds.length > 0 ? this.readLog('auditLog', { entity: 'alert', entity_id: alertIds }) : [])
+    ].map(e => ({ type: 'audit', at: e.timestamp, ...e }));
+
+    for (const snapshot of this.getNpiSnapshots(candidateId)) {
+      events.push({ type: 'npi_snapshot', at: snapshot.captured_at, ...snapshot });
+    }
+
+    return events.sort((a, b) => b.at.localeCompare(a.at));
+  }
+
+  // Drop the oldest runs (and their results) beyond the history limit
+  pruneMonitoringRuns() {
+    const runs = this.data.monitoringRuns || [];
+    if (runs.length <= this.runHistoryLimit) return;
+
+    const kept = runs.slice(runs.length - this.runHistoryLimit);
+    this.data.monitoringRuns = kept;
+    this.touch('monitoringRuns');
+
+    // Run ids only grow, so every result of a pruned run has a lower run_id than the oldest kept run
+    this.logs.monitoringResults.prune('run_id', kept[0].id);
+  }
 }
 
 module.exports = DatabaseManager;
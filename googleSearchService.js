@@ -210,8 +210,10 @@ class GoogleSearchService {
   /**
    * Search Google for a candidate name with professional suffixes
    * Now handles name variations and scrapes page content
+   * @param {Array} aliases - extra names to search, [{ name, alias: { name, type } }]
+   *   (see nameMatcher.candidateNames); results found through one carry `alias`
    */
-  async searchCandidate(fullName) {
+  async searchCandidate(fullName, aliases = []) {
     const results = {
       searches: [],
       allResults: [],
@@ -219,25 +221,28 @@ class GoogleSearchService {
       pageContents: {} // NEW: url → page text content
     };
 
-    // Get cleaned name variants
-    const nameVariants = this.cleanName(fullName);
+    // Get cleaned name variants (full name first, then aliases)
+    const nameVariants = this.cleanName(fullName).map(name => ({ name, alias: null }));
     if (nameVariants.length === 0) {
       console.log(`    ⚠️ Could not extract valid name from: "${fullName}"`);
       return results;
     }
+    for (const { name, alias } of aliases) {
+      for (const variant of this.cleanName(name)) {
+        if (!nameVariants.some(v => v.name.toLowerCase() === variant.toLowerCase())) nameVariants.push({ name: variant, alias });
+      }
+    }
 
-    console.log(`    📝 Name variants to search: ${nameVariants.join(' | ')}`);
+    console.log(`    📝 Name variants to search: ${nameVariants.map(v => v.name).join(' | ')}`);
 
     // Build queries from name variants
     const queries = [];
-    for (const name of nameVariants) {
-      queries.push(`"${name}" OD optometrist`);
-      queries.push(`"${name}" optometrist`);
+    for (const { name, alias } of nameVariants) {
+      queries.push({ query: `"${name}" OD optometrist`, name, alias });
+      queries.push({ query: `"${name}" optometrist`, name, alias });
     }
-    // Deduplicate
-    const uniqueQueries = [...new Set(queries)];
 
-    for (const query of uniqueQueries) {
+    for (const { query, name, alias } of queries) {
       try {
         console.log(`    🔎 Query: ${query}`);
         const searchResults = await this.performSearch(query);
@@ -247,7 +252,7 @@ class GoogleSearchService {
           for (const result of searchResults) {
             // Avoid duplicates
             if (!results.allResults.find(r => r.link === result.link)) {
-              results.allResults.push(result);
+              results.allResults.push({ ...result, searchedName: name, alias });
               results.links.push(result.link);
             }
           }
@@ -128,17 +128,82 @@ class LinkedInService {
   /**
    * Search for a candidate's LinkedIn profile via Serper.dev
    * Returns profile URL, current employer, title, and page content
+   * @param {Array} aliases - names tried after the full name, [{ name, alias: { name, type } }]
+   *   (see nameMatcher.candidateNames); `alias` on the result says which one found the profile
    */
-  async findProfile(fullName) {
+  async findProfile(fullName, aliases = []) {
     if (!this.configured) {
       return { found: false, reason: 'Serper not configured' };
     }
 
-    const cleanedName = this.cleanName(fullName);
-    if (!cleanedName) {
+    const names = [{ name: fullName, alias: null }, ...aliases]
+      .map(({ name, alias }) => ({ cleanedName: this.cleanName(name), alias }))
+      .filter(n => n.cleanedName);
+    if (names.length === 0) {
       return { found: false, reason: 'Could not parse name' };
     }
 
+    let bestProfile = null;
+    let searched = null;
+    for (const name of names) {
+      bestProfile = await this.searchProfile(name.cleanedName);
+      if (bestProfile) {
+        searched = name;
+        break;
+      }
+    }
+
+    if (!bestProfile) {
+      console.log(`    ℹ️ No LinkedIn profile found`);
+      return { found: false, reason: `No LinkedIn profile found${names.length > 1 ? ` under ${names.length} names` : ''}` };
+    }
+
+    console.log(`    ✅ Found LinkedIn: ${bestProfile.url}`);
+    console.log(`       Title: ${bestProfile.title}`);
+
+    // Extract employer info from SerpAPI title/snippet
+    // LinkedIn titles look like: "John Smith - Optometrist at MyEyeDr | LinkedIn"
+    const profileData = this.parseLinkedInTitle(bestProfile.title, bestProfile.snippet);
+
+    // Also try to scrape the actual profile page for more data
+    console.log(`    📄 Scraping LinkedIn profile page...`);
+    const pageContent = await this.fetchPage(bestProfile.url);
+    
+    if (pageContent && pageContent.length > 100) {
+      console.log(`       ✅ Got ${pageContent.length} chars from profile`);
+      profileData.pageContent = pageContent;
+      
+      // Try to extract additional employer info from page content
+      const pageEmployers = this.extractEmployersFromPage(pageContent);
+      if (pageEmployers.length > 0) {
+        profileData.allEmployers = [...new Set([...profileData.employers, ...pageEmployers])];
+        console.log(`       🏢 Employers found: ${profileData.allEmployers.join(', ')}`);
+      }
+    } else {
+      console.log(`       ⚠️ Could not scrape profile (LinkedIn may block bots)`);
+      profileData.pageContent = '';
+    }
+
+    return {
+      found: true,
+      profileUrl: bestProfile.url,
+      profileTitle: bestProfile.title,
+      profileSnippet: bestProfile.snippet,
+      currentEmployer: profileData.currentEmployer,
+      currentTitle: profileData.currentTitle,
+      employers: profileData.allEmployers || profileData.employers,
+      pageContent: profileData.pageContent || '',
+      searchedName: searched.cleanedName,
+      alias: searched.alias,
+      raw: bestProfile
+    };
+  }
+
+  /**
+   * Find the LinkedIn profile search result for one name (first and last name must appear)
+   * @returns {object|null} { url, title, snippet, displayLink }
+   */
+  async searchProfile(cleanedName) {
     console.log(`    🔍 LinkedIn search for: "${cleanedName}"`);
 
     // Search Google for their LinkedIn profile
@@ -185,48 +250,7 @@ class LinkedInService {
       await new Promise(r => setTimeout(r, 500)); // Rate limit
     }
 
-    if (!bestProfile) {
-      console.log(`    ℹ️ No LinkedIn profile found`);
-      return { found: false, reason: 'No LinkedIn profile found' };
-    }
-
-    console.log(`    ✅ Found LinkedIn: ${bestProfile.url}`);
-    console.log(`       Title: ${bestProfile.title}`);
-
-    // Extract employer info from SerpAPI title/snippet
-    // LinkedIn titles look like: "John Smith - Optometrist at MyEyeDr | LinkedIn"
-    const profileData = this.parseLinkedInTitle(bestProfile.title, bestProfile.snippet);
-
-    // Also try to scrape the actual profile page for more data
-    console.log(`    📄 Scraping LinkedIn profile page...`);
-    const pageContent = await this.fetchPage(bestProfile.url);
-    
-    if (pageContent && pageContent.length > 100) {
-      console.log(`       ✅ Got ${pageContent.length} chars from profile`);
-      profileData.pageContent = pageContent;
-      
-      // Try to extract additional employer info from page content
-      const pageEmployers = this.extractEmployersFromPage(pageContent);
-      if (pageEmployers.length > 0) {
-        profileData.allEmployers = [...new Set([...profileData.employers, ...pageEmployers])];
-        console.log(`       🏢 Employers found: ${profileData.allEmployers.join(', ')}`);
-      }
-    } else {
-      console.log(`       ⚠️ Could not scrape profile (LinkedIn may block bots)`);
-      profileData.pageContent = '';
-    }
-
-    return {
-      found: true,
-      profileUrl: bestProfile.url,
-      profileTitle: bestProfile.title,
-      profileSnippet: bestProfile.snippet,
-      currentEmployer: profileData.currentEmployer,
-      currentTitle: profileData.currentTitle,
-      employers: profileData.allEmployers || profileData.employers,
-      pageContent: profileData.pageContent || '',
-      raw: bestProfile
-    };
+    return bestProfile;
   }
 
   /**
@@ -7,6 +7,9 @@
  * This service integrates with Loxo's Open API to:
  * - Fetch candidates (people) from your Loxo database
  * - Retrieve job applications and submissions
+ * - Read each job candidate's workflow stage and stage history
+ * - Write confirmed tracker alerts back as person activities (and optionally tags)
+ * - Verify signed webhooks Loxo sends for person, job and pipeline changes
  * - Sync candidate data for placement tracking
  * 
  * API Documentation: https://loxo.readme.io/reference/loxo-api
@@ -15,11 +18,35 @@
  * - LOXO_API_KEY: Bearer token from Settings > API Keys in Loxo
  * - LOXO_DOMAIN: Your agency domain (e.g., eye-to-eye-careers.app.loxo.co)
  * - LOXO_AGENCY_SLUG: Your agency slug (e.g., eye-to-eye-careers)
+ * - LOXO_WEBHOOK_SECRET: shared secret webhooks are signed with (only for the webhook receiver)
  */
 
+const crypto = require('crypto');
 const https = require('https');
 const http = require('http');
 
+// Records requested per page, and a backstop against a cursor that never ends
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGES = 10000;
+
+// Write requests are retried on network errors, rate limits and 5xx responses
+const WRITE_ATTEMPTS = 3;
+const WRITE_RETRY_DELAY_MS = 1000;
+
+// Connection errors that mean a request never reached Loxo
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function isTransient(error) {
+  return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+/**
+ * True for failures Loxo can't have acted on - safe to retry requests that aren't idempotent
+ */
+function wasNotSent(error) {
+  return error.statusCode === 429 || NOT_SENT_CODES.includes(error.code);
+}
+
 class LoxoService {
   constructor() {
     this.apiKey = process.env.LOXO_API_KEY;
@@ -29,7 +56,10 @@ class LoxoService {
     // Construct base URL: https://{domain}/api/{agency_slug}
     this.baseUrl = `https://${this.domain}/api/${this.agencySlug}`;
     
+    this.webhookSecret = process.env.LOXO_WEBHOOK_SECRET || '';
+
     this.initialized = false;
+    this.workflowStages = null;
   }
 
   /**
@@ -62,6 +92,15 @@ class LoxoService {
     return false;
   }
 
+  /**
+   * Throw unless the connection is (or can be) initialized
+   */
+  async ensureInitialized() {
+    if (!this.initialized && !await this.initialize()) {
+      throw new Error('Loxo service not initialized');
+    }
+  }
+
   /**
    * Make an authenticated request to the Loxo API
    * @param {string} endpoint - API endpoint (e.g., '/people')
@@ -107,18 +146,25 @@ class LoxoService {
             } catch (e) {
               resolve(responseData);
             }
-          } else if (res.statusCode === 401) {
-            reject(new Error('Unauthorized - check your LOXO_API_KEY'));
-          } else if (res.statusCode === 404) {
-            reject(new Error(`Endpoint not found: ${endpoint}`));
           } else {
-            reject(new Error(`Loxo API error ${res.statusCode}: ${responseData}`));
+            let error;
+            if (res.statusCode === 401) {
+              error = new Error('Unauthorized - check your LOXO_API_KEY');
+            } else if (res.statusCode === 404) {
+              error = new Error(`Endpoint not found: ${endpoint}`);
+            } else {
+              error = new Error(`Loxo API error ${res.statusCode}: ${responseData}`);
+            }
+            error.statusCode = res.statusCode;
+            reject(error);
           }
         });
       });
 
       req.on('error', (error) => {
-        reject(new Error(`Network error: ${error.message}`));
+        const networkError = new Error(`Network error: ${error.message}`);
+        networkError.code = error.code;
+        reject(networkError);
       });
 
       // Set timeout
@@ -136,30 +182,112 @@ class LoxoService {
   }
 
   /**
-   * Fetch all people (candidates) from Loxo
-   * @param {object} filters - Optional filters (query, per_page, page, etc.)
-   * @returns {Array} List of people/candidates
+   * Iterate every record of a Loxo list endpoint, fetching one page at a time
+   * Follows cursor metadata (scroll_id / next_cursor) when the response has it,
+   * otherwise page numbers (total_pages / total_count, or a short last page).
+   * @param {string} endpoint - API endpoint (e.g., '/jobs')
+   * @param {string} listKey - response key holding the records (e.g., 'jobs')
+   * @param {object} filters - query parameters sent with every page
    */
-  async getPeople(filters = {}) {
-    if (!this.initialized && !await this.initialize()) {
-      throw new Error('Loxo service not initialized');
+  async *paginate(endpoint, listKey, filters = {}) {
+    await this.ensureInitialized();
+
+    let params = { ...filters, per_page: filters.per_page || DEFAULT_PAGE_SIZE, page: filters.page || 1 };
+
+    for (let pages = 1; pages <= MAX_PAGES; pages++) {
+      const response = await this.makeRequest(endpoint, 'GET', null, params);
+      const records = this.extractList(response, listKey);
+      for (const record of records) {
+        yield record;
+      }
+
+      params = this.nextPageParams(response, params, records.length);
+      if (!params) return;
     }
 
-    const params = {
-      per_page: filters.per_page || 100,
-      page: filters.page || 1,
-      ...filters
-    };
+    console.warn(`⚠️  Stopped paging ${endpoint} after ${MAX_PAGES} pages`);
+  }
+
+  /**
+   * Helper: Records from a list response ({ jobs: [] }, { data: [] } or a bare array)
+   */
+  extractList(response, listKey) {
+    if (Array.isArray(response)) return response;
+    if (!response || typeof response !== 'object') return [];
+    const records = response[listKey] || response.data || [];
+    return Array.isArray(records) ? records : [];
+  }
+
+  /**
+   * Helper: Query parameters for the page after this one, or null on the last page
+   */
+  nextPageParams(response, params, count) {
+    if (count === 0) return null;
+    const body = response && !Array.isArray(response) && typeof response === 'object' ? response : {};
+    const meta = body.meta || body.pagination || {};
+
+    // Cursor pagination - the cursor goes back under the name it came in
+    const cursorKey = ['scroll_id', 'next_cursor', 'cursor'].find(key => body[key] || meta[key]);
+    if (cursorKey) {
+      const cursor = body[cursorKey] || meta[cursorKey];
+      const paramKey = cursorKey === 'scroll_id' ? 'scroll_id' : 'cursor';
+      if (cursor === params[paramKey]) return null;
+      const { page, ...rest } = params;
+      return { ...rest, [paramKey]: cursor };
+    }
 
+    const page = Number(body.current_page || meta.current_page || params.page) || 1;
+    const nextPage = 'next_page' in body ? body.next_page : meta.next_page;
+    if (nextPage !== undefined) {
+      return nextPage ? { ...params, page: Number(nextPage) || page + 1 } : null;
+    }
+
+    const totalCount = Number(body.total_count || meta.total_count) || 0;
+    const totalPages = Number(body.total_pages || meta.total_pages) || Math.ceil(totalCount / params.per_page);
+    if (totalPages) return page < totalPages ? { ...params, page: page + 1 } : null;
+
+    return count < params.per_page ? null : { ...params, page: page + 1 };
+  }
+
+  /**
+   * Helper: One page when filters.page is set, otherwise every page
+   */
+  async collect(endpoint, listKey, filters, label) {
     try {
-      const response = await this.makeRequest('/people', 'GET', null, params);
-      return response.people || response.data || response || [];
+      if (filters.page) {
+        await this.ensureInitialized();
+        const response = await this.makeRequest(endpoint, 'GET', null, { per_page: DEFAULT_PAGE_SIZE, ...filters });
+        return this.extractList(response, listKey);
+      }
+
+      const records = [];
+      for await (const record of this.paginate(endpoint, listKey, filters)) {
+        records.push(record);
+      }
+      return records;
     } catch (error) {
-      console.error('Error fetching people from Loxo:', error.message);
+      console.error(`Error fetching ${label} from Loxo:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Fetch people (candidates) from Loxo - every page unless filters.page is set
+   * Use iteratePeople() to stream large result sets.
+   * @param {object} filters - Optional filters (query, per_page, page, etc.)
+   * @returns {Array} List of people/candidates
+   */
+  async getPeople(filters = {}) {
+    return this.collect('/people', 'people', filters, 'people');
+  }
+
+  /**
+   * Stream people from Loxo, one page in memory at a time
+   */
+  iteratePeople(filters = {}) {
+    return this.paginate('/people', 'people', filters);
+  }
+
   /**
    * Fetch a specific person by ID
    * @param {string|number} personId - Loxo person ID
@@ -179,69 +307,79 @@ class LoxoService {
   }
 
   /**
-   * Fetch all jobs from Loxo
+   * Fetch jobs from Loxo - every page unless filters.page is set
    * @param {object} filters - Optional filters
    */
   async getJobs(filters = {}) {
-    if (!this.initialized && !await this.initialize()) {
-      throw new Error('Loxo service not initialized');
-    }
+    return this.collect('/jobs', 'jobs', filters, 'jobs');
+  }
 
-    const params = {
-      per_page: filters.per_page || 100,
-      page: filters.page || 1,
-      ...filters
-    };
+  /**
+   * Stream jobs from Loxo, one page in memory at a time
+   */
+  iterateJobs(filters = {}) {
+    return this.paginate('/jobs', 'jobs', filters);
+  }
+
+  /**
+   * Fetch a specific job by ID
+   * @param {string|number} jobId - Loxo job ID
+   */
+  async getJob(jobId) {
+    await this.ensureInitialized();
 
     try {
-      const response = await this.makeRequest('/jobs', 'GET', null, params);
-      return response.jobs || response.data || response || [];
+      const response = await this.makeRequest(`/jobs/${jobId}`, 'GET');
+      return response.job || response;
     } catch (error) {
-      console.error('Error fetching jobs from Loxo:', error.message);
+      console.error(`Error fetching job ${jobId}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Fetch candidates for a specific job
+   * Fetch candidates for a specific job - every page unless filters.page is set
    * @param {string|number} jobId - Loxo job ID
    */
-  async getJobCandidates(jobId) {
-    if (!this.initialized && !await this.initialize()) {
-      throw new Error('Loxo service not initialized');
-    }
+  async getJobCandidates(jobId, filters = {}) {
+    return this.collect(`/jobs/${jobId}/candidates`, 'candidates', filters, `candidates for job ${jobId}`);
+  }
 
+  /**
+   * Check whether a job still exists in Loxo (false only when Loxo answers 404)
+   * @param {string|number} jobId - Loxo job ID
+   */
+  async jobExists(jobId) {
+    await this.ensureInitialized();
     try {
-      const response = await this.makeRequest(`/jobs/${jobId}/candidates`, 'GET');
-      return response.candidates || response.data || response || [];
+      await this.makeRequest(`/jobs/${jobId}`, 'GET');
+      return true;
     } catch (error) {
-      console.error(`Error fetching candidates for job ${jobId}:`, error.message);
+      if (error.statusCode === 404) return false;
       throw error;
     }
   }
 
   /**
-   * Fetch companies from Loxo
+   * Stream the candidates of a job, one page in memory at a time
+   */
+  iterateJobCandidates(jobId, filters = {}) {
+    return this.paginate(`/jobs/${jobId}/candidates`, 'candidates', filters);
+  }
+
+  /**
+   * Fetch companies from Loxo - every page unless filters.page is set
    * @param {object} filters - Optional filters
    */
   async getCompanies(filters = {}) {
-    if (!this.initialized && !await this.initialize()) {
-      throw new Error('Loxo service not initialized');
-    }
-
-    const params = {
-      per_page: filters.per_page || 100,
-      page: filters.page || 1,
-      ...filters
-    };
+    return this.collect('/companies', 'companies', filters, 'companies');
+  }
 
-    try {
-      const response = await this.makeRequest('/companies', 'GET', null, params);
-      return response.companies || response.data || response || [];
-    } catch (error) {
-      console.error('Error fetching companies from Loxo:', error.message);
-      throw error;
-    }
+  /**
+   * Stream companies from Loxo, one page in memory at a time
+   */
+  iterateCompanies(filters = {}) {
+    return this.paginate('/companies', 'companies', filters);
   }
 
   /**
@@ -261,6 +399,112 @@ class LoxoService {
     }
   }
 
+  /**
+   * Workflow stage names by stage id (empty if Loxo doesn't expose the list)
+   * The last list loaded is kept for getStageHistory(). A failed fetch isn't cached, so the
+   * next caller tries again.
+   */
+  async getWorkflowStages() {
+    try {
+      const stages = await this.collect('/workflow_stages', 'workflow_stages', {}, 'workflow stages');
+      this.workflowStages = new Map(stages.map(stage => [String(stage.id), stage.name]));
+      return this.workflowStages;
+    } catch (error) {
+      return this.workflowStages || new Map();
+    }
+  }
+
+  /**
+   * Helper: Workflow stage name of a job candidate (or a stage-change activity)
+   * @param {Map} stages - from getWorkflowStages()
+   */
+  stageName(record, stages = new Map()) {
+    const stage = record.workflow_stage || record.stage;
+    if (stage && typeof stage === 'object') return stage.name || stages.get(String(stage.id)) || '';
+    if (typeof stage === 'string') return stage;
+    const stageId = record.workflow_stage_id || record.stage_id;
+    return stageId ? stages.get(String(stageId)) || '' : '';
+  }
+
+  /**
+   * Dated stage transitions of a person on one job, oldest first
+   * Built from the person's activities that moved them to a workflow stage.
+   * @returns {Array} [{ stage, at, source: 'loxo_activity', activity_id }]
+   */
+  async getStageHistory(personId, jobId, stages = this.workflowStages || new Map()) {
+    const history = [];
+    for await (const event of this.paginate(`/people/${personId}/person_events`, 'person_events', { job_id: jobId })) {
+      if (event.job_id && String(event.job_id) !== String(jobId)) continue;
+      const stage = this.stageName(event, stages);
+      if (!stage) continue;
+      history.push({ stage, at: event.created_at || event.updated_at || null, source: 'loxo_activity', activity_id: event.id });
+    }
+    return history.sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+  }
+
+  /**
+   * Make a request, retrying transient failures (network errors, 429, 5xx) with backoff
+   * Other 4xx errors are returned to the caller straight away.
+   * @param {object} options - { attempts, retryIf(error) } (default: retry any transient failure)
+   */
+  async requestWithRetry(endpoint, method, data = null, queryParams = {}, { attempts = WRITE_ATTEMPTS, retryIf = isTransient } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.makeRequest(endpoint, method, data, queryParams);
+      } catch (error) {
+        if (!retryIf(error) || attempt >= attempts) {
+          error.attempts = attempt;
+          throw error;
+        }
+        const delay = WRITE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+        console.warn(`  Loxo ${method} ${endpoint} failed (${error.message}) - retrying in ${delay / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Fetch activity types (Note, Call, ...) configured in Loxo
+   */
+  async getActivityTypes() {
+    await this.ensureInitialized();
+    const response = await this.makeRequest('/activity_types', 'GET');
+    return this.extractList(response, 'activity_types');
+  }
+
+  /**
+   * Log an activity on a person's Loxo record
+   * Only retried when the request can't have reached Loxo - a timeout or 5xx may still have
+   * created the event, so callers check for it before trying again.
+   * @param {string|number} personId - Loxo person ID
+   * @param {object} activity - { activityTypeId, notes, jobId }
+   * @returns {object} the created person event (with its id)
+   */
+  async createPersonEvent(personId, { activityTypeId, notes, jobId = null }) {
+    await this.ensureInitialized();
+
+    const personEvent = { person_id: personId, activity_type_id: activityTypeId, notes };
+    if (jobId) personEvent.job_id = jobId;
+
+    const response = await this.requestWithRetry('/person_events', 'POST', { person_event: personEvent }, {}, { retryIf: wasNotSent });
+    return response.person_event || response;
+  }
+
+  /**
+   * Add a tag to a person, keeping their existing tags
+   * @returns {boolean} false if the person already had the tag
+   */
+  async tagPerson(personId, tag) {
+    const person = await this.getPerson(personId);
+    const tags = (person.raw_tags || person.all_raw_tags || person.tags || [])
+      .map(t => (typeof t === 'string' ? t : t.name))
+      .filter(Boolean);
+    if (tags.some(t => t.toLowerCase() === tag.toLowerCase())) return false;
+
+    await this.requestWithRetry(`/people/${personId}`, 'PUT', { person: { raw_tags: [...tags, tag] } });
+    return true;
+  }
+
   /**
    * Fetch activity records for a person (notes, emails, tasks)
    * @param {string|number} personId - Loxo person ID
@@ -280,9 +524,86 @@ class LoxoService {
   }
 
   /**
-   * Main sync function - fetches candidates and their job submissions
-   * This is the primary method used by the tracker
-   * 
+   * Stream every activity record of a person, one page in memory at a time
+   */
+  iteratePersonActivities(personId, filters = {}) {
+    return this.paginate(`/people/${personId}/person_events`, 'person_events', filters);
+  }
+
+  /**
+   * Main sync stream - walks jobs and their candidates page by page
+   * Yields { job } as each job is read, then { job, jobCandidate, person, candidate, submission }
+   * per job candidate, or { job, error } if the job's candidates can't be fetched.
+   * Submissions carry the job candidate's current workflow stage (pipeline_stage).
+   * person/candidate are null when the person was already yielded for an earlier job or
+   * skipPersonDetails(personId) returns true. Only one page is held in memory.
+   * Every listed job is walked even with a since mark - a candidate can change stage without the
+   * job's updated_at changing - and only candidates updated since since.job_candidates are yielded.
+   * @param {object} options - { since: { job_candidates } updated_since mark, skipPersonDetails }
+   */
+  async *streamCandidatesAndSubmissions({ since = {}, skipPersonDetails = null } = {}) {
+    await this.ensureInitialized();
+
+    // Loxo person id -> loxo_id yielded for them
+    const seenPeople = new Map();
+    let jobCount = 0;
+
+    const stages = await this.getWorkflowStages();
+    const candidateFilters = since.job_candidates ? { updated_since: since.job_candidates } : {};
+    const candidatesSince = since.job_candidates ? Date.parse(since.job_candidates) : null;
+
+    for await (const job of this.iterateJobs()) {
+      jobCount++;
+      yield { job };
+      try {
+        for await (const candidate of this.iterateJobCandidates(job.id, candidateFilters)) {
+          // Also filtered here in case the endpoint ignores updated_since
+          if (candidatesSince && candidate.updated_at && Date.parse(candidate.updated_at) < candidatesSince) continue;
+          const personId = String(candidate.person_id || candidate.person?.id || candidate.id);
+          let personDetails = null;
+          let candidateData = null;
+
+          if (!seenPeople.has(personId) && skipPersonDetails && skipPersonDetails(personId)) {
+            seenPeople.set(personId, personId);
+          } else if (!seenPeople.has(personId)) {
+            // Get full person details
+            personDetails = candidate;
+            if (candidate.person_id) {
+              try {
+                personDetails = await this.getPerson(candidate.person_id);
+              } catch (e) {
+                // Use what we have
+              }
+            }
+            candidateData = this.toCandidateData(personDetails, candidate);
+            seenPeople.set(personId, candidateData.loxo_id);
+          }
+
+          yield {
+            job,
+            jobCandidate: candidate,
+            person: personDetails,
+            candidate: candidateData,
+            submission: this.toSubmissionData(job, candidate, seenPeople.get(personId), stages)
+          };
+        }
+      } catch (error) {
+        console.warn(`  Warning: Could not fetch candidates for job ${job.id}: ${error.message}`);
+        yield { job, error };
+      }
+
+      if (jobCount % 50 === 0) {
+        console.log(`  ${jobCount} jobs read, ${seenPeople.size} candidates so far`);
+      }
+    }
+
+    console.log(`  Loxo stream complete: ${jobCount} jobs, ${seenPeople.size} candidates`);
+  }
+
+  /**
+   * Collect the whole sync stream into arrays
+   * Prefer streamCandidatesAndSubmissions() for large agencies.
+   *
    * @returns {object} { candidates: [], submissions: [] }
    */
   async syncCandidatesAndSubmissions() {
@@ -297,60 +618,9 @@ class LoxoService {
     };
 
     try {
-      // Step 1: Fetch all jobs
-      console.log('  Fetching jobs...');
-      const jobs = await this.getJobs({ per_page: 200 });
-      console.log(`  Found ${jobs.length} jobs`);
-
-      // Step 2: For each job, get candidates
-      for (const job of jobs) {
-        try {
-          const jobCandidates = await this.getJobCandidates(job.id);
-          
-          for (const candidate of jobCandidates) {
-            // Get full person details
-            let personDetails = candidate;
-            if (candidate.person_id) {
-              try {
-                personDetails = await this.getPerson(candidate.person_id);
-              } catch (e) {
-                // Use what we have
-              }
-            }
-
-            // Extract candidate info
-            const candidateData = {
-              loxo_id: personDetails.id || candidate.id,
-              full_name: personDetails.name || `${personDetails.first_name || ''} ${personDetails.last_name || ''}`.trim(),
-              email: this.extractEmail(personDetails),
-              phone: this.extractPhone(personDetails),
-              linkedin_url: personDetails.linkedin_url || personDetails.linkedin || '',
-              npi_number: this.extractNPI(personDetails),
-              facebook_url: personDetails.facebook_url || '',
-              instagram_url: personDetails.instagram_url || '',
-              twitter_url: personDetails.twitter_url || ''
-            };
-
-            // Check if candidate already in results
-            const existingIndex = results.candidates.findIndex(c => c.loxo_id === candidateData.loxo_id);
-            if (existingIndex === -1) {
-              results.candidates.push(candidateData);
-            }
-
-            // Create submission record
-            const submissionData = {
-              loxo_candidate_id: candidateData.loxo_id,
-              client_name: job.company_name || job.company?.name || 'Unknown Client',
-              job_title: job.title || job.name || 'Unknown Position',
-              submitted_date: candidate.created_at || candidate.added_at || new Date().toISOString().split('T')[0],
-              loxo_job_id: job.id
-            };
-
-            results.submissions.push(submissionData);
-          }
-        } catch (error) {
-          console.warn(`  Warning: Could not fetch candidates for job ${job.id}: ${error.message}`);
-        }
+      for await (const { candidate, submission } of this.streamCandidatesAndSubmissions()) {
+        if (candidate) results.candidates.push(candidate);
+        if (submission) results.submissions.push(submission);
       }
 
       console.log(`  Sync complete: ${results.candidates.length} candidates, ${results.submissions.length} submissions`);
@@ -377,56 +647,31 @@ class LoxoService {
     };
 
     try {
-      // Fetch all people with pagination
-      let page = 1;
-      let hasMore = true;
-
-      while (hasMore) {
-        const people = await this.getPeople({ page, per_page: 100 });
-        
-        if (!people || people.length === 0) {
-          hasMore = false;
-          break;
-        }
+      // Stream every page of people
+      for await (const person of this.iteratePeople()) {
+        const candidateData = this.toCandidateData(person);
 
-        for (const person of people) {
-          const candidateData = {
-            loxo_id: person.id,
-            full_name: person.name || `${person.first_name || ''} ${person.last_name || ''}`.trim(),
-            email: this.extractEmail(person),
-            phone: this.extractPhone(person),
-            linkedin_url: person.linkedin_url || person.linkedin || '',
-            npi_number: this.extractNPI(person),
-            facebook_url: person.facebook_url || '',
-            instagram_url: person.instagram_url || '',
-            twitter_url: person.twitter_url || ''
-          };
+        results.candidates.push(candidateData);
 
-          results.candidates.push(candidateData);
-
-          // Try to get activities to find submission info
-          try {
-            const activities = await this.getPersonActivities(person.id);
-            // Look for submission-related activities
-            for (const activity of activities) {
-              if (activity.activity_type === 'submission' || 
-                  activity.notes?.toLowerCase().includes('submitted') ||
-                  activity.notes?.toLowerCase().includes('application')) {
-                results.submissions.push({
-                  loxo_candidate_id: person.id,
-                  client_name: activity.company_name || 'Unknown Client',
-                  job_title: activity.job_title || 'Unknown Position',
-                  submitted_date: activity.created_at || new Date().toISOString().split('T')[0]
-                });
-              }
+        // Try to get activities to find submission info
+        try {
+          const activities = await this.getPersonActivities(person.id);
+          // Look for submission-related activities
+          for (const activity of activities) {
+            if (activity.activity_type === 'submission' || 
+                activity.notes?.toLowerCase().includes('submitted') ||
+                activity.notes?.toLowerCase().includes('application')) {
+              results.submissions.push({
+                loxo_candidate_id: person.id,
+                client_name: activity.company_name || 'Unknown Client',
+                job_title: activity.job_title || 'Unknown Position',
+                submitted_date: activity.created_at || new Date().toISOString().split('T')[0]
+              });
             }
-          } catch (e) {
-            // Activities not available for this person
           }
+        } catch (e) {
+          // Activities not available for this person
         }
-
-        page++;
-        if (people.length < 100) hasMore = false;
       }
 
       console.log(`  People sync complete: ${results.candidates.length} candidates`);
@@ -438,6 +683,54 @@ class LoxoService {
     }
   }
 
+  /**
+   * Helper: Tracker candidate fields from a Loxo person (fallback = the job candidate record)
+   */
+  toCandidateData(person, fallback = {}) {
+    return {
+      loxo_id: person.id || fallback.id,
+      full_name: person.name || `${person.first_name || ''} ${person.last_name || ''}`.trim(),
+      email: this.extractEmail(person),
+      phone: this.extractPhone(person),
+      linkedin_url: person.linkedin_url || person.linkedin || '',
+      npi_number: this.extractNPI(person),
+      facebook_url: person.facebook_url || '',
+      instagram_url: person.instagram_url || '',
+      twitter_url: person.twitter_url || ''
+    };
+  }
+
+  /**
+   * Helper: Tracker submission fields for a job candidate, with their current workflow stage
+   * @param {string} loxoCandidateId - loxo_id of the tracked candidate
+   */
+  toSubmissionData(job, jobCandidate, loxoCandidateId, stages = this.workflowStages || new Map()) {
+    return {
+      loxo_candidate_id: loxoCandidateId,
+      client_name: job.company_name || job.company?.name || 'Unknown Client',
+      job_title: job.title || job.name || 'Unknown Position',
+      submitted_date: jobCandidate.created_at || jobCandidate.added_at || new Date().toISOString().split('T')[0],
+      loxo_job_id: job.id,
+      pipeline_stage: this.stageName(jobCandidate, stages),
+      stage_updated_at: jobCandidate.stage_updated_at || jobCandidate.updated_at || null
+    };
+  }
+
+  /**
+   * Check a webhook's signature: hex HMAC-SHA256 of the raw request body keyed with
+   * LOXO_WEBHOOK_SECRET (an optional "sha256=" prefix is accepted)
+   * @param {Buffer|string} rawBody - the body exactly as received
+   */
+  verifyWebhookSignature(rawBody, signature) {
+    if (!this.webhookSecret || !rawBody || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+    const received = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+    // Anything but 64 hex digits can't match (and would make timingSafeEqual throw on byte length)
+    if (!/^[0-9a-f]{64}$/.test(received)) return false;
+    return crypto.timingSafeEqual(Buffer.from(received, 'hex'), Buffer.from(expected, 'hex'));
+  }
+
   /**
    * Helper: Extract email from person object
    */
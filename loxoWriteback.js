@@ -0,0 +1,216 @@
+/**
+ * Loxo Write-back
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * When a recruiter confirms an alert, logs it on the candidate's Loxo record so the rest
+ * of the agency sees it in the CRM:
+ * - a person activity (LOXO_WRITEBACK_ACTIVITY_TYPE, default "Note") with the alert's
+ *   evidence and links, attached to the Loxo job when the submission has one
+ * - optionally a tag on the person (LOXO_WRITEBACK_TAG)
+ *
+ * Each alert keeps its write-back state in loxo_writeback { status, attempts, ... } and the
+ * created activity's id in loxo_activity_id. Requests retry transient errors straight away;
+ * write-backs that still failed are retried every LOXO_WRITEBACK_RETRY_MINUTES.
+ * Activities end with an alert marker line, and a write-back first looks for an activity
+ * carrying it, so a request that reached Loxo but failed on our side is never logged twice.
+ */
+
+const NPI_REGISTRY_URL = 'https://npiregistry.cms.hhs.gov/provider-view/';
+
+/**
+ * Loxo person id of a candidate - only numeric ids (CSV imports may carry their own ids)
+ */
+function loxoPersonId(candidate) {
+  const id = candidate && candidate.loxo_id ? String(candidate.loxo_id).trim() : '';
+  return /^\d+$/.test(id) ? id : null;
+}
+
+/**
+ * Line identifying the alert an activity was logged for
+ */
+function alertMarker(alertId) {
+  return `[Placement Tracker alert #${alertId}]`;
+}
+
+class LoxoWriteback {
+  constructor(db, loxoService) {
+    this.db = db;
+    this.loxo = loxoService;
+
+    this.enabled = process.env.LOXO_WRITEBACK !== 'false';
+    this.activityType = process.env.LOXO_WRITEBACK_ACTIVITY_TYPE || 'Note';
+    this.tag = (process.env.LOXO_WRITEBACK_TAG || '').trim();
+    this.retryMinutes = parseFloat(process.env.LOXO_WRITEBACK_RETRY_MINUTES) || 15;
+    this.maxAttempts = parseInt(process.env.LOXO_WRITEBACK_MAX_ATTEMPTS, 10) || 5;
+
+    this.activityTypeId = null;
+    this.inFlight = new Set();
+    this.timer = null;
+  }
+
+  isConfigured() {
+    return this.enabled && Boolean(this.loxo.apiKey && this.loxo.agencySlug);
+  }
+
+  /**
+   * Write a confirmed alert back in the background
+   * @returns {boolean} whether a write-back was started
+   */
+  queue(alertId, context = {}) {
+    if (!this.isConfigured()) return false;
+    this.writeAlert(alertId, context).catch(error => console.error(`Loxo write-back for alert ${alertId} failed:`, error.message));
+    return true;
+  }
+
+  /**
+   * Log one confirmed alert in Loxo, skipping steps that already succeeded
+   * (an alert is never logged twice, even if it's confirmed again)
+   * @returns {object|null} the alert's loxo_writeback state
+   */
+  async writeAlert(alertId, context = {}) {
+    const alert = this.db.getAlertById(alertId);
+    if (!alert || alert.status !== 'confirmed') return null;
+
+    const state = alert.loxo_writeback || {};
+    if (state.status === 'written' || this.inFlight.has(alertId)) return state;
+
+    const auditContext = { actor: context.actor || 'system', origin: 'loxo_writeback' };
+    const candidate = this.db.getCandidateById(alert.candidate_id);
+    const personId = loxoPersonId(candidate);
+    if (!personId) {
+      const skipped = { status: 'skipped', reason: 'Candidate is not linked to a Loxo person' };
+      this.db.updateAlert(alertId, { loxo_writeback: skipped }, auditContext);
+      return skipped;
+    }
+
+    this.inFlight.add(alertId);
+    const now = new Date().toISOString();
+    const next = { ...state, attempts: (state.attempts || 0) + 1, last_attempt_at: now };
+    const updates = {};
+
+    try {
+      if (!alert.loxo_activity_id && !state.logged) {
+        // An earlier attempt may have reached Loxo even though it failed here
+        const event = await this.findLoggedEvent(personId, alertId) || await this.loxo.createPersonEvent(personId, {
+          activityTypeId: await this.resolveActivityType(),
+          notes: this.buildNote(alert),
+          jobId: this.jobIdFor(alert)
+        });
+        updates.loxo_activity_id = event && event.id ? event.id : null;
+        next.logged = true;
+      }
+
+      if (this.tag && !state.tagged) {
+        await this.loxo.tagPerson(personId, this.tag);
+        next.tagged = true;
+      }
+
+      Object.assign(next, { status: 'written', written_at: now, last_error: null });
+      console.log(`📝 Alert #${alertId} logged in Loxo for ${alert.candidate_name} (activity ${updates.loxo_activity_id || alert.loxo_activity_id || 'n/a'})`);
+    } catch (error) {
+      Object.assign(next, { status: 'failed', last_error: error.message });
+      console.warn(`⚠️  Loxo write-back for alert #${alertId} failed (attempt ${next.attempts}): ${error.message}`);
+    } finally {
+      this.inFlight.delete(alertId);
+    }
+
+    this.db.updateAlert(alertId, { ...updates, loxo_writeback: next }, auditContext);
+    return next;
+  }
+
+  /**
+   * Retry confirmed alerts whose write-back failed, up to LOXO_WRITEBACK_MAX_ATTEMPTS each
+   * @returns {number} alerts retried
+   */
+  async retryFailed() {
+    const failed = this.db.getAllAlerts().filter(a =>
+      a.status === 'confirmed' &&
+      a.loxo_writeback && a.loxo_writeback.status === 'failed' &&
+      (a.loxo_writeback.attempts || 0) < this.maxAttempts
+    );
+
+    for (const alert of failed) {
+      await this.writeAlert(alert.id);
+    }
+    return failed.length;
+  }
+
+  /**
+   * The person's Loxo activity already logged for an alert (found by its marker), if any
+   * Reads every page - a long activity history can bury the earlier attempt.
+   */
+  async findLoggedEvent(personId, alertId) {
+    const marker = alertMarker(alertId);
+    for await (const event of this.loxo.iteratePersonActivities(personId)) {
+      if ([event.notes, event.note, event.body].some(text => typeof text === 'string' && text.includes(marker))) {
+        return event;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Loxo activity type id for LOXO_WRITEBACK_ACTIVITY_TYPE (an id or an activity type name)
+   */
+  async resolveActivityType() {
+    if (this.activityTypeId) return this.activityTypeId;
+    if (/^\d+$/.test(this.activityType)) return (this.activityTypeId = Number(this.activityType));
+
+    const types = await this.loxo.getActivityTypes();
+    const match = types.find(t => (t.name || '').toLowerCase() === this.activityType.toLowerCase());
+    if (!match) throw new Error(`Loxo activity type "${this.activityType}" not found`);
+    return (this.activityTypeId = match.id);
+  }
+
+  /**
+   * Loxo job the alert's submission was synced from, if any
+   */
+  jobIdFor(alert) {
+    const submission = this.db.getAllSubmissions().find(s =>
+      s.candidate_id === alert.candidate_id &&
+      (s.client_name || '').toLowerCase() === (alert.client_name || '').toLowerCase() &&
+      s.loxo_job_id
+    );
+    return submission ? submission.loxo_job_id : null;
+  }
+
+  /**
+   * Activity text: what was found, how confident, the evidence links and the reviewer's notes
+   */
+  buildNote(alert) {
+    const lines = [
+      `Placement Tracker alert confirmed by ${alert.reviewed_by || 'a recruiter'}`,
+      `${alert.candidate_name} → ${alert.client_name} (${alert.source}${alert.confidence ? `, ${alert.confidence} confidence` : ''})`
+    ];
+    if (alert.match_details) lines.push(alert.match_details);
+
+    const links = Object.entries(alert.source_links || {})
+      .filter(([, url]) => typeof url === 'string' && /^https?:\/\//.test(url))
+      .map(([key, url]) => `- ${key.replace(/_/g, ' ')}: ${url}`);
+    if (alert.npi_number) links.push(`- NPI registry: ${NPI_REGISTRY_URL}${alert.npi_number}`);
+    if (links.length > 0) lines.push('', 'Evidence:', ...links);
+
+    if (alert.review_notes) lines.push('', `Reviewer notes: ${alert.review_notes}`);
+    lines.push('', alertMarker(alert.id));
+    return lines.join('\n');
+  }
+
+  /**
+   * Retry failed write-backs every LOXO_WRITEBACK_RETRY_MINUTES
+   */
+  start() {
+    this.stop();
+    if (!this.isConfigured()) return false;
+    this.timer = setInterval(() => {
+      this.retryFailed().catch(error => console.error('Loxo write-back retry error:', error.message));
+    }, this.retryMinutes * 60 * 1000);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = LoxoWriteback;
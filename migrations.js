@@ -0,0 +1,326 @@
+/**
+ * Data Store Migrations
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Ordered list of migrations that normalize older records. DatabaseManager runs
+ * every migration newer than the stored `schemaVersion` on load, then saves.
+ *
+ * Each migration receives the data object, mutates it in place and returns a list
+ * of human-readable changes (empty if nothing needed changing).
+ * Append new migrations to the end - never reorder or edit released ones.
+ */
+
+// Maps an alert's display `source` to its `source_type`
+function sourceTypeFor(source) {
+  if (!source) return null;
+  if (source.includes('Pipeline')) return 'pipeline';
+  if (source === 'Google Search') return 'google_search';
+  if (source === 'LinkedIn') return 'linkedin';
+  if (source === 'CMS Medicare') return 'cms';
+  if (source.includes('NPI')) return 'npi';
+  return null;
+}
+
+const SOURCE_LABELS = {
+  pipeline: 'Pipeline',
+  npi: 'NPI Registry',
+  google_search: 'Google Search',
+  linkedin: 'LinkedIn',
+  cms: 'CMS Medicare'
+};
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Ensure all collections exist',
+    up(data) {
+      const changes = [];
+      for (const key of ['candidates', 'submissions', 'alerts', 'syncHistory']) {
+        if (!Array.isArray(data[key])) {
+          data[key] = [];
+          changes.push(`created empty ${key} collection`);
+        }
+      }
+      if (!data.settings || typeof data.settings !== 'object') {
+        data.settings = {};
+        changes.push('created empty settings');
+      }
+      return changes;
+    }
+  },
+  {
+    version: 2,
+    description: 'Normalize alert source and source_type',
+    up(data) {
+      let filledType = 0;
+      let filledSource = 0;
+      for (const alert of data.alerts) {
+        if (!alert.source_type && alert.source) {
+          const type = sourceTypeFor(alert.source);
+          if (type) {
+            alert.source_type = type;
+            filledType++;
+          }
+        }
+        if (!alert.source && alert.source_type) {
+          alert.source = SOURCE_LABELS[alert.source_type] || alert.source_type;
+          filledSource++;
+        }
+      }
+      const changes = [];
+      if (filledType) changes.push(`set source_type on ${filledType} alert(s)`);
+      if (filledSource) changes.push(`set source on ${filledSource} alert(s)`);
+      return changes;
+    }
+  },
+  {
+    version: 3,
+    description: 'Default missing status and timestamps',
+    up(data) {
+      const now = new Date().toISOString();
+      let alertStatus = 0;
+      let submissionStatus = 0;
+      let timestamps = 0;
+
+      for (const alert of data.alerts) {
+        if (!alert.status) {
+          alert.status = 'pending';
+          alertStatus++;
+        }
+      }
+      for (const submission of data.submissions) {
+        if (!submission.status) {
+          submission.status = 'active';
+          submissionStatus++;
+        }
+      }
+      for (const record of [...data.candidates, ...data.submissions, ...data.alerts]) {
+        if (!record.created_at) {
+          record.created_at = record.updated_at || now;
+          timestamps++;
+        }
+      }
+
+      const changes = [];
+      if (alertStatus) changes.push(`set status "pending" on ${alertStatus} alert(s)`);
+      if (submissionStatus) changes.push(`set status "active" on ${submissionStatus} submission(s)`);
+      if (timestamps) changes.push(`set created_at on ${timestamps} record(s)`);
+      return changes;
+    }
+  },
+  {
+    version: 4,
+    description: 'Replace non-integer and duplicate IDs with sequential integers',
+    up(data) {
+      const collections = { candidate: 'candidates', submission: 'submissions', alert: 'alerts' };
+      if (!Array.isArray(data.idAliases)) data.idAliases = [];
+
+      const allIds = Object.values(collections)
+        .flatMap(key => data[key].map(r => r.id))
+        .filter(id => Number.isSafeInteger(id));
+      let sequence = Math.max(data.idSequence || 0, ...allIds, 0);
+
+      const remapped = { candidate: new Map(), submission: new Map(), alert: new Map() };
+      const changes = [];
+
+      for (const [entity, key] of Object.entries(collections)) {
+        const seen = new Set();
+        let count = 0;
+        for (const record of data[key]) {
+          const valid = Number.isSafeInteger(record.id) && record.id > 0 && !seen.has(record.id);
+          if (!valid) {
+            const oldId = record.id;
+            record.id = ++sequence;
+            count++;
+            // Duplicate IDs are ambiguous, so only unique old IDs get an alias
+            if (oldId !== undefined && oldId !== null && !seen.has(oldId)) {
+              remapped[entity].set(oldId, record.id);
+              data.idAliases.push({
+                id: ++sequence,
+                entity,
+                old_id: String(oldId),
+                new_id: record.id,
+                created_at: new Date().toISOString()
+              });
+            }
+          }
+          seen.add(record.id);
+        }
+        if (count) changes.push(`reassigned ${count} ${entity} ID(s)`);
+      }
+
+      // Point references at the new IDs
+      let references = 0;
+      for (const record of [...data.submissions, ...data.alerts]) {
+        if (remapped.candidate.has(record.candidate_id)) {
+          record.candidate_id = remapped.candidate.get(record.candidate_id);
+          references++;
+        }
+        if (remapped.submission.has(record.submission_id)) {
+          record.submission_id = remapped.submission.get(record.submission_id);
+          references++;
+        }
+      }
+      if (references) changes.push(`updated ${references} reference(s)`);
+
+      data.idSequence = sequence;
+      return changes;
+    }
+  },
+  {
+    version: 5,
+    description: 'Add audit log',
+    up(data) {
+      if (Array.isArray(data.auditLog)) return [];
+      data.auditLog = [];
+      return ['created empty auditLog collection'];
+    }
+  },
+  {
+    version: 6,
+    description: 'Add monitoring run history',
+    up(data) {
+      const changes = [];
+      for (const key of ['monitoringRuns', 'monitoringResults']) {
+        if (!Array.isArray(data[key])) {
+          data[key] = [];
+          changes.push(`created empty ${key} collection`);
+        }
+      }
+      return changes;
+    }
+  },
+  {
+    version: 7,
+    description: 'Add per-candidate monitoring state',
+    up(data) {
+      if (Array.isArray(data.monitoringState)) return [];
+      data.monitoringState = [];
+      return ['created empty monitoringState collection'];
+    }
+  },
+  {
+    version: 8,
+    description: 'Add NPI record history',
+    up(data) {
+      if (Array.isArray(data.npiSnapshots)) return [];
+      data.npiSnapshots = [];
+      return ['created empty npiSnapshots collection'];
+    }
+  },
+  {
+    version: 9,
+    description: 'Add weekly NPPES change reports',
+    up(data) {
+      if (Array.isArray(data.npiChangeReports)) return [];
+      data.npiChangeReports = [];
+      return ['created empty npiChangeReports collection'];
+    }
+  },
+  {
+    version: 10,
+    description: 'Add the NPI review queue',
+    up(data) {
+      if (Array.isArray(data.npiReviews)) return [];
+      data.npiReviews = [];
+      return ['created empty npiReviews collection'];
+    }
+  },
+  {
+    version: 11,
+    description: 'Keep "(formerly X)" style names as candidate aliases',
+    up(data) {
+      const types = { formerly: 'former', born: 'former', nee: 'maiden', née: 'maiden', maiden: 'maiden', aka: 'other' };
+      let count = 0;
+      for (const candidate of data.candidates || []) {
+        const match = /\((formerly|née|nee|aka|born|maiden)\s+([^)]+)\)/i.exec(candidate.full_name || '');
+        if (!match) continue;
+        const name = match[2].trim();
+        const aliases = candidate.aliases || [];
+        if (aliases.some(a => a.name.toLowerCase() === name.toLowerCase())) continue;
+        candidate.aliases = [...aliases, { name, type: types[match[1].toLowerCase()], source: 'migration', added_at: new Date().toISOString() }];
+        count++;
+      }
+      return count > 0 ? [`added aliases for ${count} candidate(s) from parenthetical names`] : [];
+    }
+  },
+  {
+    version: 12,
+    description: 'Re-run alert source, status and ID normalization (SQLite imports that skipped migrations)',
+    up(data) {
+      // Migrations 2-4 only touch records that still need it, so this is a no-op for migrated data
+      return [2, 3, 4].flatMap(version => migrations.find(m => m.version === version).up(data));
+    }
+  },
+  {
+    version: 13,
+    description: 'Store each monitoring run\'s result count (results move to their own log)',
+    up(data) {
+      const counts = new Map();
+      for (const row of data.monitoringResults || []) {
+        counts.set(row.run_id, (counts.get(row.run_id) || 0) + 1);
+      }
+      let count = 0;
+      for (const run of data.monitoringRuns || []) {
+        if (run.result_count !== undefined) continue;
+        run.result_count = counts.get(run.id) || 0;
+        count++;
+      }
+      return count > 0 ? [`counted results for ${count} run(s)`] : [];
+    }
+  },
+  {
+    version: 14,
+    description: 'Type NPI record change alerts as npi_change',
+    up(data) {
+      // Migration 2 types these as 'npi' (their source contains "NPI"), and labels untitled
+      // npi_change alerts with the bare type
+      let count = 0;
+      for (const alert of data.alerts) {
+        if (alert.source === 'NPI Record Change' && alert.source_type !== 'npi_change') {
+          alert.source_type = 'npi_change';
+          count++;
+        } else if (alert.source_type === 'npi_change' && (!alert.source || alert.source === 'npi_change')) {
+          alert.source = 'NPI Record Change';
+          count++;
+        }
+      }
+      return count > 0 ? [`set npi_change type on ${count} NPI record change alert(s)`] : [];
+    }
+  }
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Run all migrations newer than data.schemaVersion
+ * @returns {object} { from, to, applied: [{ version, description, changes }] }
+ */
+function runMigrations(data) {
+  const from = data.schemaVersion || 0;
+  const applied = [];
+
+  if (from > LATEST_VERSION) {
+    console.warn(`⚠ Database schema version ${from} is newer than this code (${LATEST_VERSION}) - skipping migrations`);
+    return { from, to: from, applied };
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= from) continue;
+
+    const changes = migration.up(data) || [];
+    data.schemaVersion = migration.version;
+    applied.push({ version: migration.version, description: migration.description, changes });
+
+    console.log(`  Migration ${migration.version} (${migration.description}): ${changes.length > 0 ? changes.join('; ') : 'no changes'}`);
+  }
+
+  return { from, to: data.schemaVersion || from, applied };
+}
+
+module.exports = {
+  migrations,
+  runMigrations,
+  sourceTypeFor,
+  LATEST_VERSION
+};
@@ -1,19 +1,101 @@
 /**
  * Monitoring Scheduler
- * Checks candidates against NPI registry and creates alerts for matches
+ * Checks candidates against NPI registry, Google Search and LinkedIn and creates alerts for matches
  * Matches based on: employer name, parent/subsidiary, AND location
  */
 
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
 const CompanyResearchService = require('./companyResearchService');
+const { parseCronExpression, matchesCron, findNextMinute } = require('./cronExpression');
+const { candidateNames } = require('./nameMatcher');
+const { isHiredStage, stageEnteredAt } = require('./pipelineStages');
 
-class MonitoringScheduler {
-  constructor(db, npiService, linkedinService, socialMediaService) {
+// Default schedule: weekday mornings. Persisted overrides live in db settings.
+const DEFAULT_SCHEDULE = {
+  enabled: process.env.NODE_ENV === 'production',
+  mode: 'cron', // 'interval' or 'cron'
+  intervalMinutes: 60,
+  cron: '0 7 * * 1-5',
+  allowedHours: { start: 0, end: 24 }, // end is exclusive
+  daysOfWeek: [0, 1, 2, 3, 4, 5, 6], // Sunday = 0
+  // Google/LinkedIn lookups are slower and paid - re-run them per candidate at most this often
+  googleRecheckHours: 24,
+  linkedinRecheckHours: 168,
+  timezone: process.env.MONITORING_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone
+};
+
+// Run phases in order - a run's checkpoint cursor points into these
+const PHASES = ['pipeline', 'npi', 'google_search', 'linkedin'];
+
+// Interrupted or cancelled runs can be picked up again from their cursor
+const RESUMABLE_STATUSES = ['aborted', 'cancelled'];
+
+// Longest gap between checkpoints - they also refresh the run lock's heartbeat
+const CHECKPOINT_MAX_MS = 30 * 1000;
+
+// Per-candidate phases: the totals counting candidates checked and alerts created
+const PHASE_TOTALS = {
+  npi: { checked: 'checked', alerts: 'npiAlerts' },
+  google_search: { checked: 'googleSearched', alerts: 'googleAlerts' },
+  linkedin: { checked: 'linkedinChecked', alerts: 'linkedinAlerts' }
+};
+
+/**
+ * Fingerprint of a candidate's submissions - a new or changed submission forces a re-check
+ * Aliases are part of it too, so adding a maiden/former name re-runs the searches.
+ */
+function submissionKey(submissions, aliases = []) {
+  const key = submissions
+    .map(s => `${s.id}:${(s.client_name || '').toLowerCase()}:${s.job_title || ''}`)
+    .sort()
+    .join('|');
+  return aliases.length > 0 ? `${key}#${aliases.map(a => a.name.toLowerCase()).sort().join('|')}` : key;
+}
+
+/**
+ * " (found as maiden name "Jane Roe")" for hits that came from searching an alias
+ */
+function aliasNote(alias) {
+  return alias ? ` (found as ${alias.type} name "${alias.name}")` : '';
+}
+
+/**
+ * Whether a source (google/linkedin) is due for a candidate given its last check
+ */
+function isDue(sourceState, recheckHours, key) {
+  if (!sourceState || !sourceState.checked_at || sourceState.submission_key !== key) return true;
+  return Date.now() - new Date(sourceState.checked_at).getTime() >= recheckHours * 60 * 60 * 1000;
+}
+
+/**
+ * Emits 'progress' (after each candidate) and 'finished' (when a run ends) so
+ * callers can stream run status - see getProgress()
+ */
+class MonitoringScheduler extends EventEmitter {
+  constructor(db, npiService, linkedinService, socialMediaService, googleSearchService) {
+    super();
+    // One listener per open progress stream
+    this.setMaxListeners(100);
     this.db = db;
     this.npi = npiService;
     this.linkedin = linkedinService;
     this.socialMedia = socialMediaService;
+    this.googleSearch = googleSearchService;
     this.companyResearch = new CompanyResearchService();
-    this.isRunning = false;
+    this.currentRun = null;
+    this.scheduleTimer = null;
+
+    // The run lock is persisted so it survives restarts; a lock whose heartbeat is
+    // older than the stale timeout is considered abandoned
+    this.instanceId = crypto.randomUUID();
+    this.lockStaleMs = (parseInt(process.env.MONITORING_LOCK_STALE_MINUTES, 10) || 10) * 60 * 1000;
+    this.resumeOnBoot = process.env.MONITORING_RESUME_ON_BOOT !== 'false';
+    // Each checkpoint is a save (on the JSON backend the only one during a run), so runs
+    // checkpoint every N candidates rather than after each one
+    this.checkpointEvery = parseInt(process.env.MONITORING_CHECKPOINT_EVERY, 10) || 25;
+    this.nextRunAt = null;
   }
 
   /**
@@ -67,8 +149,22 @@ class MonitoringScheduler {
 
   /**
    * Check if two locations match
+   * loc1 may be a list of provider locations ({ kind, city, state, ... }) - the closest one wins
+   * and is returned as `location`.
    */
   locationsMatch(loc1, loc2) {
+    if (Array.isArray(loc1)) {
+      const strength = m => (!m.match ? -1 : m.confidence === 'Low' ? 0 : m.confidence === 'Medium' ? 1 : 2);
+      let best = { match: false };
+      for (const location of loc1) {
+        const result = this.locationsMatch(location, loc2);
+        if (strength(result) > strength(best)) {
+          best = { ...result, location, reason: `${result.reason} (${location.kind || 'practice'} location)` };
+        }
+      }
+      return best;
+    }
+
     if (!loc1 || !loc2) return { match: false };
     
     const city1 = (loc1.city || '').toLowerCase().trim();
@@ -102,80 +198,371 @@ class MonitoringScheduler {
     return { match: true, reason: `Same state: ${state1.toUpperCase()}`, confidence: 'Low' };
   }
 
-  async runMonitoring() {
+  /**
+   * True while any process holds a live run lock
+   */
+  get isRunning() {
+    const lock = this.db.getSetting('monitoringLock');
+    return Boolean(lock) && (lock.owner === this.instanceId || !this.isLockStale(lock));
+  }
+
+  /**
+   * A lock is stale when its heartbeat is too old, or when it was left by a
+   * process on this host that no longer exists
+   */
+  isLockStale(lock) {
+    if (Date.now() - new Date(lock.heartbeat_at).getTime() > this.lockStaleMs) return true;
+    if (lock.owner !== this.instanceId && lock.host === os.hostname()) {
+      if (lock.pid === process.pid) return true;
+      try {
+        process.kill(lock.pid, 0);
+      } catch (error) {
+        if (error.code === 'ESRCH') return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Take the run lock (fails if another live run holds it)
+   */
+  acquireLock(runId = null) {
+    if (this.isRunning) return false;
+    const now = new Date().toISOString();
+    this.db.setSetting('monitoringLock', {
+      owner: this.instanceId,
+      host: os.hostname(),
+      pid: process.pid,
+      run_id: runId,
+      acquired_at: now,
+      heartbeat_at: now
+    }, null);
+    return true;
+  }
+
+  /**
+   * Refresh the lock heartbeat (and attached run) - caller saves
+   */
+  touchLock(runId) {
+    const lock = this.db.getSetting('monitoringLock');
+    if (!lock || lock.owner !== this.instanceId) return;
+    lock.run_id = runId;
+    lock.heartbeat_at = new Date().toISOString();
+  }
+
+  releaseLock() {
+    const lock = this.db.getSetting('monitoringLock');
+    if (lock && lock.owner === this.instanceId) {
+      this.db.setSetting('monitoringLock', null, null);
+    }
+  }
+
+  /**
+   * Candidates a run checked in its cursor's phase after the cursor was saved, with their
+   * checks and created alerts added to results (empty for new runs)
+   * @returns {Set} candidate ids
+   */
+  checkedPastCursor(run, results) {
+    const checked = new Set();
+    const totals = run.cursor && PHASE_TOTALS[run.cursor.phase];
+    if (!totals) return checked;
+
+    const positions = new Map(run.candidate_ids.map((id, index) => [id, index]));
+    const alerts = new Set();
+    for (const row of this.db.readLog('monitoringResults', { run_id: run.id, phase: run.cursor.phase })) {
+      if (!(positions.get(row.candidate_id) >= run.cursor.index)) continue;
+      if (!checked.has(row.candidate_id)) {
+        checked.add(row.candidate_id);
+        results[totals.checked]++;
+      }
+      if (row.outcome === 'alert_created' && !alerts.has(row.alert_id)) {
+        // One alert can have a row per submission; NPI record changes have their own total
+        alerts.add(row.alert_id);
+        const alert = this.db.getAlertById(row.alert_id);
+        results.alertsCreated++;
+        results[alert && alert.source_type === 'npi_change' ? 'npiChangeAlerts' : totals.alerts]++;
+      }
+    }
+    return checked;
+  }
+
+  /**
+   * Deal with runs left "running" by a previous process (call on boot and on each schedule tick)
+   * They are marked aborted; the most recent one is resumed if MONITORING_RESUME_ON_BOOT allows.
+   */
+  recoverInterruptedRuns() {
+    if (this.isRunning) return null;
+
+    const { runs } = this.db.getMonitoringRuns({ status: 'running', limit: 1000 });
+    if (runs.length === 0) return null;
+
+    for (const run of runs) {
+      this.db.finishMonitoringRun(run.id, { status: 'aborted', error: 'Interrupted by a server restart' });
+      console.log(`⚠ Monitoring run ${run.id} was interrupted (${run.cursor ? `stopped at ${run.cursor.phase} ${run.cursor.index + 1}/${run.config.candidates}` : 'before its first checkpoint'})`);
+    }
+
+    if (!this.resumeOnBoot) {
+      console.log('  Marked as aborted (MONITORING_RESUME_ON_BOOT=false) - resume via POST /api/monitoring/runs/:id/resume');
+      return null;
+    }
+
+    const latest = runs[0];
+    console.log(`  Resuming monitoring run ${latest.id}`);
+    return this.resumeMonitoring(latest.id);
+  }
+
+  /**
+   * Resume an aborted or cancelled run from its checkpoint, in the background
+   */
+  resumeMonitoring(runId, options = {}) {
+    const run = this.db.getMonitoringRun(runId);
+    if (!run) {
+      return { started: false, error: 'Run not found' };
+    }
+    if (!RESUMABLE_STATUSES.includes(run.status)) {
+      return { started: false, error: `Run ${runId} is ${run.status} and can't be resumed` };
+    }
+    return this.startMonitoring({ trigger: run.trigger, actor: options.actor || run.actor, resumeRunId: runId });
+  }
+
+  /**
+   * Start a monitoring run in the background
+   * @returns {object} { started, runId } or { skipped, message } if a run is in progress
+   */
+  startMonitoring(options = {}) {
     if (this.isRunning) {
-      return { checked: 0, alertsCreated: 0, message: 'Already running' };
+      return { started: false, skipped: true, runId: this.currentRun?.runId || null, message: 'Already running' };
     }
 
-    this.isRunning = true;
-    const results = {
+    // runMonitoring registers the run synchronously before its first await
+    this.runMonitoring(options).catch(error => console.error('Monitoring error:', error));
+    if (!this.currentRun) {
+      return { started: false, skipped: true, message: 'Could not acquire the monitoring lock' };
+    }
+    return { started: true, runId: this.currentRun.runId };
+  }
+
+  /**
+   * Ask the current run to stop - checked between candidates
+   * @returns {object|null} progress of the run being cancelled, or null if nothing is running
+   */
+  cancelMonitoring() {
+    if (!this.currentRun) return null;
+    this.currentRun.cancelRequested = true;
+    console.log(`Cancellation requested for monitoring run ${this.currentRun.runId}`);
+    return this.getProgress();
+  }
+
+  /**
+   * Snapshot of the current run's progress (null when idle)
+   */
+  getProgress() {
+    if (!this.currentRun) return null;
+    const { cancelRequested, ...progress } = this.currentRun;
+    return { ...progress, cancelling: cancelRequested };
+  }
+
+  /**
+   * Run a full monitoring check
+   * Progress is checkpointed every MONITORING_CHECKPOINT_EVERY candidates (and at least every
+   * 30 seconds) so an interrupted run can resume.
+   * Candidates whose NPI record is unchanged skip employer matching, and Google/LinkedIn
+   * only run when due - unless forceFull is set.
+   * @param {object} options - { trigger: 'manual' | 'scheduled', actor, forceFull, resumeRunId }
+   */
+  async runMonitoring(options = {}) {
+    if (!this.acquireLock()) {
+      return { checked: 0, alertsCreated: 0, skipped: true, message: 'Already running' };
+    }
+
+    // Released however the run ends, including a failure before the run was recorded
+    try {
+      return await this.executeRun(options);
+    } finally {
+      this.currentRun = null;
+      this.releaseLock();
+    }
+  }
+
+  /**
+   * The monitoring run itself - called by runMonitoring() while holding the lock
+   */
+  async executeRun(options) {
+    const resumed = options.resumeRunId ? this.db.getMonitoringRun(options.resumeRunId) : null;
+    const trigger = options.trigger || 'manual';
+    const startedAt = resumed ? new Date(resumed.started_at) : new Date();
+    const forceFull = resumed ? Boolean(resumed.config.forceFull) : Boolean(options.forceFull);
+    const scheduleConfig = this.getScheduleConfig();
+    const auditContext = { actor: options.actor || 'system', origin: 'scheduler', source: `monitoring:${trigger}` };
+    let results = {
       checked: 0,
       npiUpdated: 0,
       alertsCreated: 0,
       pipelineAlerts: 0,
-      npiAlerts: 0
+      npiAlerts: 0,
+      googleSearched: 0,
+      googleAlerts: 0,
+      linkedinChecked: 0,
+      linkedinProfilesFound: 0,
+      linkedinAlerts: 0,
+      npiUnchanged: 0,
+      googleSkipped: 0,
+      linkedinSkipped: 0,
+      npiChangeAlerts: 0,
+      npiNeedsReview: 0
     };
 
+    const submissions = this.db.getAllSubmissions();
+    // Google/LinkedIn lookups only run for candidates with an open submission
+    const activeSubmissions = this.db.getActiveSubmissions();
+    let candidates;
+    let run;
+
+    if (resumed) {
+      // Keep the original candidate order so the cursor still lines up (trashed candidates become gaps)
+      candidates = resumed.candidate_ids.map(id => this.db.getCandidateById(id) || null);
+      results = { ...results, ...resumed.totals };
+      run = this.db.updateMonitoringRun(resumed.id, {
+        status: 'running',
+        finished_at: null,
+        error: null,
+        resumed_at: new Date().toISOString(),
+        resume_count: (resumed.resume_count || 0) + 1
+      });
+      console.log(`\nResuming monitoring run ${run.id} at ${run.cursor ? `${run.cursor.phase} ${run.cursor.index + 1}/${candidates.length}` : 'the start'}`);
+    } else {
+      candidates = this.db.getAllCandidates();
+      // Every candidate x submission check is recorded against the run
+      run = this.db.startMonitoringRun({
+        trigger,
+        actor: auditContext.actor,
+        candidateIds: candidates.map(c => c.id),
+        config: {
+          candidates: candidates.length,
+          submissions: submissions.length,
+          forceFull,
+          googleRecheckHours: scheduleConfig.googleRecheckHours,
+          linkedinRecheckHours: scheduleConfig.linkedinRecheckHours,
+          phases: {
+            pipeline: true,
+            npi: true,
+            googleSearch: Boolean(this.googleSearch && this.googleSearch.apiKey),
+            linkedin: Boolean(this.linkedin && this.linkedin.configured)
+          },
+          schedule: trigger === 'scheduled' ? scheduleConfig : null
+        }
+      });
+    }
+    results.runId = run.id;
+    this.touchLock(run.id);
+
+    // Skip everything before the checkpoint when resuming
+    const cursor = run.cursor || { phase: 'pipeline', index: 0 };
+    const phaseStart = phase => {
+      const order = PHASES.indexOf(phase) - PHASES.indexOf(cursor.phase);
+      if (order < 0) return Infinity;
+      return order === 0 ? cursor.index : 0;
+    };
+    // Candidates an interrupted run checked after its last checkpoint already have result rows
+    // (saved along with their alerts) - they're skipped and their work is counted back in
+    const checkedPastCursor = this.checkedPastCursor(run, results);
+    const alreadyChecked = (phase, candidate) => phase === cursor.phase && checkedPastCursor.has(candidate.id);
+    const recordResult = (candidate, submission, row) => this.db.addMonitoringResult(run.id, {
+      candidate_id: candidate.id,
+      candidate_name: candidate.full_name,
+      submission_id: submission.id,
+      client_name: submission.client_name,
+      ...row
+    });
+    let runError = null;
+    let runCancelled = false;
+
+    this.currentRun = {
+      runId: run.id,
+      trigger,
+      startedAt: startedAt.toISOString(),
+      phase: 'pipeline',
+      current: 0,
+      total: submissions.length,
+      candidate: null,
+      alertsCreated: 0,
+      cancelRequested: false
+    };
+    const reportProgress = (phase, current, total, candidate) => {
+      Object.assign(this.currentRun, {
+        phase,
+        current,
+        total,
+        candidate: candidate ? candidate.full_name : null,
+        alertsCreated: results.alertsCreated
+      });
+      this.emit('progress', this.getProgress());
+    };
+    const checkCancelled = () => {
+      if (this.currentRun.cancelRequested) {
+        const error = new Error('Run cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+    };
+    // Persist the cursor, totals and results so far (one save) and refresh the lock - at each
+    // new phase, then every checkpointEvery candidates or CHECKPOINT_MAX_MS
+    let lastCheckpoint = { phase: null, index: 0, at: 0 };
+    let position = cursor;
+    const checkpoint = (phase, index) => {
+      position = { phase, index };
+      const due = phase !== lastCheckpoint.phase ||
+        index - lastCheckpoint.index >= this.checkpointEvery ||
+        Date.now() - lastCheckpoint.at >= CHECKPOINT_MAX_MS;
+      if (!due) return;
+      lastCheckpoint = { phase, index, at: Date.now() };
+
+      this.db.batch(() => {
+        const { runId, ...totals } = results;
+        this.touchLock(run.id);
+        this.db.updateMonitoringRun(run.id, { cursor: { phase, index }, totals });
+      });
+      saves.save();
+    };
+
+    // Candidate, state and alert writes in between are saved with the next checkpoint
+    const saves = this.db.holdSaves();
     try {
-      const candidates = this.db.data.candidates || [];
-      const submissions = this.db.data.submissions || [];
 
-      console.log(`\n========== Starting Monitoring ==========`);
+      console.log(`\n========== Starting Monitoring (${trigger}${forceFull ? ', full re-check' : ''}) ==========`);
       console.log(`Total candidates: ${candidates.length}`);
       console.log(`Total submissions: ${submissions.length}`);
 
       // Create pipeline alerts only for Hired/Placed/Started (confirmed placements).
       // Negotiation-stage candidates are tracked for NPI/Google/LinkedIn monitoring
       // but don't need their own pipeline alerts — the user already knows the stage from CRM.
-      console.log(`\n--- Checking Pipeline Stages for Alerts ---`);
-
-      for (const submission of submissions) {
-        const stage = (submission.pipeline_stage || '').toLowerCase();
-        const candidate = candidates.find(c => c.id === submission.candidate_id);
-
-        if (!candidate) continue;
-
-        const isHired = stage.includes('hired') || stage.includes('placed') || stage.includes('started');
-
-        if (isHired) {
-          const existingAlert = (this.db.data.alerts || []).find(a =>
-            a.candidate_id === candidate.id &&
-            a.client_name === submission.client_name &&
-            a.source?.includes('Pipeline')
-          );
-
-          if (!existingAlert) {
-            console.log(`  🚨 Creating HIRED alert: ${candidate.full_name} → ${submission.client_name}`);
-
-            const alert = {
-              id: Date.now() + Math.random(),
-              candidate_id: candidate.id,
-              candidate_name: candidate.full_name,
-              client_name: submission.client_name,
-              source: `Pipeline: ${submission.pipeline_stage}`,
-              confidence: 'Confirmed',
-              match_details: `${candidate.full_name} was HIRED at ${submission.client_name} - ${submission.job_title}`,
-              status: 'pending',
-              created_at: new Date().toISOString()
-            };
+      if (phaseStart('pipeline') === 0) {
+        console.log(`\n--- Checking Pipeline Stages for Alerts ---`);
 
-            if (!this.db.data.alerts) this.db.data.alerts = [];
-            this.db.data.alerts.push(alert);
-            results.alertsCreated++;
-            results.pipelineAlerts++;
-          }
+        for (const submission of submissions) {
+          const candidate = candidates.find(c => c && c.id === submission.candidate_id);
+
+          if (!candidate) continue;
+
+          this.checkPipelineStage(candidate, submission, auditContext, results, recordResult);
         }
-      }
 
-      if (results.pipelineAlerts > 0) {
-        this.db.saveDatabase();
-        console.log(`  Created ${results.pipelineAlerts} pipeline alerts`);
+        if (results.pipelineAlerts > 0) {
+          console.log(`  Created ${results.pipelineAlerts} pipeline alerts`);
+        }
+
+        checkpoint('npi', 0);
       }
 
       // Now check NPI registry for each candidate
       console.log(`\n--- Checking NPI Registry (Location + Employer Matching) ---`);
       
-      for (const candidate of candidates) {
+      for (const [index, candidate] of candidates.entries()) {
+        if (index < phaseStart('npi')) continue;
+        checkpoint('npi', index);
+        checkCancelled();
+        reportProgress('npi', index + 1, candidates.length, candidate);
+        if (!candidate || alreadyChecked('npi', candidate)) continue;
         results.checked++;
         
         const candidateSubmissions = submissions.filter(s => s.candidate_id === candidate.id);
@@ -185,129 +572,666 @@ class MonitoringScheduler {
         }
 
         try {
-          const npiResults = await this.npi.searchByName(candidate.full_name);
+          const npiResults = await this.npi.searchCandidate(candidate) || [];
+
+          // Linked candidates are tracked by their own NPI, even when the name search misses it
+          let linkedProvider = null;
+          let snapshotSource = 'searchByName';
+          if (candidate.npi_number) {
+            linkedProvider = npiResults.find(r => r.npi === candidate.npi_number) || null;
+            if (!linkedProvider) {
+              linkedProvider = await this.npi.searchByNPI(candidate.npi_number);
+              snapshotSource = 'searchByNPI';
+            }
+          }
 
-          if (!npiResults || npiResults.length === 0) {
+          if (npiResults.length === 0 && !linkedProvider) {
+            for (const submission of candidateSubmissions) {
+              recordResult(candidate, submission, {
+                phase: 'npi',
+                outcome: 'no_results',
+                reason: candidate.npi_number
+                  ? `Linked NPI ${candidate.npi_number} not found in the registry`
+                  : 'No NPI records found for this name'
+              });
+            }
             continue;
           }
 
-          // Look for optometrist/ophthalmologist matches first
-          const relevantProvider = npiResults.find(r => {
-            const desc = (r.taxonomy?.description || '').toLowerCase();
-            return desc.includes('optometr') || desc.includes('ophthalm') || desc.includes('optic');
-          }) || npiResults[0];
+          // Unlinked candidates only take a name-search result when it clearly identifies one
+          // provider - common names go to the NPI review queue for a recruiter to pick
+          let relevantProvider = linkedProvider;
+          if (!candidate.npi_number) {
+            const resolution = this.npi.classifyMatches(npiResults, candidate.npi_rejected);
+            if (resolution.ambiguous) {
+              const review = this.db.openNpiReview(candidate, resolution.options.map(p => this.npi.summarizeProvider(p)), auditContext);
+              results.npiNeedsReview++;
+              for (const submission of candidateSubmissions) {
+                recordResult(candidate, submission, {
+                  phase: 'npi',
+                  outcome: 'needs_review',
+                  reason: `${resolution.options.length} possible NPI records - waiting for a recruiter to pick one (review #${review.id})`
+                });
+              }
+              continue;
+            }
+            relevantProvider = resolution.match;
+          }
+
+          if (!relevantProvider) {
+            for (const submission of candidateSubmissions) {
+              recordResult(candidate, submission, {
+                phase: 'npi',
+                outcome: candidate.npi_number ? 'no_results' : 'no_match',
+                reason: candidate.npi_number
+                  ? `Linked NPI ${candidate.npi_number} not found in the registry`
+                  : 'No NPI record matches this name closely enough (or all were rejected)'
+              });
+            }
+            continue;
+          }
 
           if (relevantProvider) {
-            // Update candidate's NPI if not set
+            // Link the candidate to an unambiguous match
             if (!candidate.npi_number && relevantProvider.npi) {
-              candidate.npi_number = relevantProvider.npi;
-              candidate.npi_last_checked = new Date().toISOString();
+              this.db.updateCandidate(candidate.id, {
+                npi_number: relevantProvider.npi,
+                npi_last_checked: new Date().toISOString()
+              }, auditContext);
               results.npiUpdated++;
-              this.db.saveDatabase();
             }
 
-            // Get NPI location
+            // Version the linked NPI record and alert when the practice details moved
+            let recordChanged = false;
+            if (relevantProvider.npi && relevantProvider.npi === (candidate.npi_number || relevantProvider.npi)) {
+              recordChanged = this.recordNpiSnapshot(candidate, candidateSubmissions, relevantProvider, snapshotSource, auditContext, results, recordResult).created;
+            }
+
+            // Get NPI locations (primary, secondary practice locations, mailing) and employer names
             const npiAddress = relevantProvider.practiceAddress || {};
-            const npiLocation = {
-              city: (npiAddress.city || '').toLowerCase(),
-              state: (npiAddress.state || '').toLowerCase()
-            };
+            const npiLocations = this.npi.getProviderLocations(relevantProvider);
+            const employers = this.npi.getEmployerNames(relevantProvider);
             const employerName = relevantProvider.organizationName || '';
+            const providerSeen = {
+              npi: relevantProvider.npi,
+              name: relevantProvider.fullName,
+              organization: employerName,
+              city: npiAddress.city || '',
+              state: npiAddress.state || '',
+              taxonomy: relevantProvider.taxonomy?.description || '',
+              locations: npiLocations.map(l => `${l.city}, ${l.state} (${l.kind})`),
+              employers: employers.map(e => e.name),
+              taxonomies: (relevantProvider.taxonomies || []).map(t => t.description),
+              matchScore: relevantProvider.matchScore,
+              matchBreakdown: relevantProvider.matchBreakdown || null,
+              matchedAlias: relevantProvider.matchedAlias || null,
+              candidatesFound: npiResults.length
+            };
 
-            // Check each submission for matches
-            for (const submission of candidateSubmissions) {
-              const clientName = submission.client_name || '';
-              const jobTitle = submission.job_title || '';
+            // Skip employer matching when the NPI record and submissions haven't changed
+            const subKey = submissionKey(candidateSubmissions, candidate.aliases);
+            const previous = (this.db.getMonitoringState(candidate.id) || {}).npi;
+            const unchanged = !forceFull && !recordChanged && previous && relevantProvider.lastUpdated &&
+              previous.npi === relevantProvider.npi &&
+              previous.last_updated === relevantProvider.lastUpdated &&
+              previous.submission_key === subKey;
+
+            if (unchanged) {
+              results.npiUnchanged++;
+              for (const submission of candidateSubmissions) {
+                recordResult(candidate, submission, {
+                  phase: 'npi',
+                  provider: providerSeen,
+                  outcome: 'unchanged',
+                  reason: `NPI record unchanged since ${relevantProvider.lastUpdated} - employer matching skipped`
+                });
+              }
+            } else {
+              // Check each submission for matches
+              for (const submission of candidateSubmissions) {
+                const clientName = submission.client_name || '';
+                const jobTitle = submission.job_title || '';
               
-              // Extract location from job title
-              const jobLocation = this.extractLocation(jobTitle);
+                // Extract location from job title
+                const jobLocation = this.extractLocation(jobTitle);
               
-              // Also try to extract from client name
-              const clientLocation = this.extractLocation(clientName);
+                // Also try to extract from client name
+                const clientLocation = this.extractLocation(clientName);
               
-              // Check for employer name match (primary signal)
-              const employerMatch = this.companyResearch.areCompaniesRelated(employerName, clientName);
-
-              // Check for location match (supplementary context only)
-              const locationMatchJob = this.locationsMatch(npiLocation, jobLocation);
-              const locationMatchClient = this.locationsMatch(npiLocation, clientLocation);
-              const locationMatch = locationMatchJob.match ? locationMatchJob : locationMatchClient;
-
-              // Only create NPI alerts when there's an EMPLOYER match.
-              // Location-only matches are too noisy (same state != same company).
-              // Location is used to boost confidence when employer also matches.
-              if (employerMatch.match) {
-                const existingAlert = (this.db.data.alerts || []).find(a =>
-                  a.candidate_id === candidate.id &&
-                  a.client_name === submission.client_name &&
-                  a.source?.includes('NPI')
-                );
-
-                if (!existingAlert) {
-                  let matchReason = '';
-                  let confidence = 'High';
-
-                  if (employerMatch.match && locationMatch.match) {
-                    matchReason = `Employer AND Location match! NPI shows ${relevantProvider.fullName} at "${employerName}" in ${npiLocation.city}, ${npiLocation.state.toUpperCase()}`;
-                    confidence = 'High';
-                  } else {
-                    matchReason = `Employer match: ${employerMatch.reason}`;
-                    confidence = 'High';
+                // Check for employer name match (primary signal) against every employer on the record
+                let employerMatch = { match: false };
+                for (const employer of employers) {
+                  const related = this.companyResearch.areCompaniesRelated(employer.name, clientName);
+                  if (related.match) {
+                    employerMatch = { ...related, employer: employer.name, via: employer.via };
+                    break;
                   }
+                }
+
+                // Check for location match (supplementary context only) against every NPI location
+                const locationMatchJob = this.locationsMatch(npiLocations, jobLocation);
+                const locationMatchClient = this.locationsMatch(npiLocations, clientLocation);
+                const locationMatch = locationMatchJob.match ? locationMatchJob : locationMatchClient;
+                const matchedLocation = locationMatch.location || npiLocations[0] || {};
+
+                // Only create NPI alerts when there's an EMPLOYER match.
+                // Location-only matches are too noisy (same state != same company).
+                // Location is used to boost confidence when employer also matches.
+                if (!employerMatch.match) {
+                  recordResult(candidate, submission, {
+                    phase: 'npi',
+                    provider: providerSeen,
+                    outcome: 'no_match',
+                    reason: employers.length > 0
+                      ? `NPI employer${employers.length > 1 ? 's' : ''} ${employers.map(e => `"${e.name}"`).join(', ')} not related to "${clientName}"${locationMatch.match ? ` (location matched: ${locationMatch.reason})` : ''}`
+                      : `NPI record lists no employer${locationMatch.match ? ` (location matched: ${locationMatch.reason})` : ''}`
+                  });
+                } else {
+                  const existingAlert = (this.db.data.alerts || []).find(a =>
+                    a.candidate_id === candidate.id &&
+                    a.client_name === submission.client_name &&
+                    a.source_type === 'npi'
+                  );
+
+                  if (existingAlert) {
+                    recordResult(candidate, submission, {
+                      phase: 'npi',
+                      provider: providerSeen,
+                      outcome: 'already_alerted',
+                      reason: `Employer match (${employerMatch.via}): ${employerMatch.reason}`,
+                      alert_id: existingAlert.id
+                    });
+                  } else {
+                    let matchReason = '';
+                    let confidence = 'High';
 
-                  console.log(`  🚨 NPI MATCH: ${candidate.full_name}`);
-                  console.log(`      NPI: ${relevantProvider.npi} - ${npiLocation.city}, ${npiLocation.state.toUpperCase()}`);
-                  console.log(`      Job: ${jobTitle}`);
-                  console.log(`      Reason: ${matchReason}`);
-
-                  const alert = {
-                    id: Date.now() + Math.random(),
-                    candidate_id: candidate.id,
-                    candidate_name: candidate.full_name,
-                    client_name: submission.client_name,
-                    source: 'NPI Registry',
-                    confidence: confidence,
-                    match_details: `NPI ${relevantProvider.npi} shows ${relevantProvider.fullName} practicing in ${npiLocation.city || 'Unknown'}, ${(npiLocation.state || 'Unknown').toUpperCase()}. ${matchReason}`,
-                    npi_number: relevantProvider.npi,
-                    npi_location: `${npiLocation.city}, ${npiLocation.state}`.toUpperCase(),
-                    status: 'pending',
-                    created_at: new Date().toISOString()
-                  };
-
-                  if (!this.db.data.alerts) this.db.data.alerts = [];
-                  this.db.data.alerts.push(alert);
-                  results.alertsCreated++;
-                  results.npiAlerts++;
-                  this.db.saveDatabase();
+                    if (employerMatch.match && locationMatch.match) {
+                      matchReason = `Employer AND Location match! NPI shows ${relevantProvider.fullName} at "${employerMatch.employer}" (${employerMatch.via}) - ${locationMatch.reason}`;
+                      confidence = 'High';
+                    } else {
+                      matchReason = `Employer match (${employerMatch.via}): ${employerMatch.reason}`;
+                      confidence = 'High';
+                    }
+                    const matchedCity = (matchedLocation.city || '').toLowerCase();
+                    const matchedState = (matchedLocation.state || '').toLowerCase();
+
+                    console.log(`  🚨 NPI MATCH: ${candidate.full_name}`);
+                    console.log(`      NPI: ${relevantProvider.npi} - ${matchedCity}, ${matchedState.toUpperCase()} (${matchedLocation.kind || 'practice'} location)`);
+                    console.log(`      Job: ${jobTitle}`);
+                    console.log(`      Reason: ${matchReason}`);
+
+                    const alert = {
+                      candidate_id: candidate.id,
+                      candidate_name: candidate.full_name,
+                      client_name: submission.client_name,
+                      source: 'NPI Registry',
+                      source_type: 'npi',
+                      confidence: confidence,
+                      match_details: `NPI ${relevantProvider.npi} shows ${relevantProvider.fullName} practicing in ${matchedCity || 'Unknown'}, ${(matchedState || 'Unknown').toUpperCase()}${aliasNote(relevantProvider.matchedAlias)}. ${matchReason}`,
+                      npi_number: relevantProvider.npi,
+                      npi_location: `${matchedCity}, ${matchedState}`.toUpperCase(),
+                      // Which NPPES location and employer name produced the match
+                      npi_location_kind: matchedLocation.kind || null,
+                      npi_employer: employerMatch.employer,
+                      npi_employer_source: employerMatch.via,
+                      matched_alias: relevantProvider.matchedAlias || null,
+                      status: 'pending',
+                      created_at: new Date().toISOString()
+                    };
+
+                    // The alert and its result row are saved together, so a resumed run can tell it was created
+                    const inserted = this.db.batch(() => {
+                      const inserted = this.db.insertAlert(alert, auditContext);
+                      results.alertsCreated++;
+                      results.npiAlerts++;
+                      recordResult(candidate, submission, {
+                        phase: 'npi',
+                        provider: providerSeen,
+                        outcome: 'alert_created',
+                        reason: matchReason,
+                        alert_id: inserted.lastInsertRowid
+                      });
+                      return inserted;
+                    });
+                  }
                 }
               }
             }
+
+            this.db.updateMonitoringState(candidate.id, {
+              npi: {
+                npi: relevantProvider.npi,
+                last_updated: relevantProvider.lastUpdated,
+                organization: employerName,
+                city: npiAddress.city || '',
+                state: npiAddress.state || '',
+                taxonomy: relevantProvider.taxonomy?.description || '',
+                submission_key: subKey,
+                checked_at: new Date().toISOString(),
+                matched_at: unchanged ? previous.matched_at : new Date().toISOString()
+              }
+            });
           }
         } catch (error) {
           console.log(`  Error checking NPI for ${candidate.full_name}: ${error.message}`);
+          for (const submission of candidateSubmissions) {
+            recordResult(candidate, submission, { phase: 'npi', outcome: 'error', reason: error.message });
+          }
         }
 
         // Small delay to avoid overwhelming the NPI API
         await new Promise(resolve => setTimeout(resolve, 100));
       }
 
+      // Search Google for each tracked candidate and look for client mentions
+      if (this.googleSearch && this.googleSearch.apiKey) {
+        console.log(`\n--- Checking Google Search ---`);
+
+        for (const [index, candidate] of candidates.entries()) {
+          if (index < phaseStart('google_search')) continue;
+          checkpoint('google_search', index);
+          checkCancelled();
+          reportProgress('google_search', index + 1, candidates.length, candidate);
+          if (!candidate || alreadyChecked('google_search', candidate)) continue;
+          const candidateSubmissions = activeSubmissions.filter(s => s.candidate_id === candidate.id);
+
+          if (candidateSubmissions.length === 0) {
+            continue;
+          }
+
+          const subKey = submissionKey(candidateSubmissions, candidate.aliases);
+          const lastGoogle = (this.db.getMonitoringState(candidate.id) || {}).google;
+          if (!forceFull && !isDue(lastGoogle, scheduleConfig.googleRecheckHours, subKey)) {
+            results.googleSkipped++;
+            continue;
+          }
+
+          try {
+            const searchResults = await this.googleSearch.searchCandidate(candidate.full_name, candidateNames(candidate).slice(1));
+            results.googleSearched++;
+            this.db.updateMonitoringState(candidate.id, {
+              google: { checked_at: new Date().toISOString(), submission_key: subKey }
+            });
+
+            const resultCount = (searchResults.allResults || []).length;
+
+            for (const submission of candidateSubmissions) {
+              const searchMatch = this.googleSearch.checkResultsForClient(searchResults, submission.client_name, this.companyResearch);
+
+              if (!searchMatch.match) {
+                recordResult(candidate, submission, {
+                  phase: 'google_search',
+                  evidence: { resultCount },
+                  outcome: resultCount === 0 ? 'no_results' : 'no_match',
+                  reason: resultCount === 0
+                    ? 'No search results for this name'
+                    : `"${submission.client_name}" not mentioned in ${resultCount} search result(s)`
+                });
+                continue;
+              }
+
+              const existingAlert = (this.db.data.alerts || []).find(a =>
+                a.candidate_id === candidate.id &&
+                a.client_name === submission.client_name &&
+                a.source === 'Google Search'
+              );
+
+              if (existingAlert) {
+                recordResult(candidate, submission, {
+                  phase: 'google_search',
+                  evidence: { resultCount, url: searchMatch.sourceUrl || '' },
+                  outcome: 'already_alerted',
+                  reason: searchMatch.reason,
+                  alert_id: existingAlert.id
+                });
+                continue;
+              }
+
+              const matchedResult = searchMatch.matchedResult || {};
+              const matchedAlias = matchedResult.alias || null;
+              // Page-content hits are weaker evidence than a title/snippet mention
+              const confidence = searchMatch.matchSource === 'page_content' ? 'Low' : 'Medium';
+
+              console.log(`  🚨 GOOGLE MATCH: ${candidate.full_name} → ${submission.client_name}`);
+              console.log(`      Reason: ${searchMatch.reason}`);
+
+              const alert = {
+                candidate_id: candidate.id,
+                candidate_name: candidate.full_name,
+                client_name: submission.client_name,
+                source: 'Google Search',
+                source_type: 'google_search',
+                confidence: confidence,
+                match_details: `${searchMatch.reason}${aliasNote(matchedAlias)}`,
+                matched_alias: matchedAlias,
+                source_links: {
+                  search_url: searchMatch.sourceUrl || matchedResult.link || '',
+                  search_title: matchedResult.title || searchMatch.matchedText || '',
+                  search_snippet: matchedResult.snippet || '',
+                  google_search_query: `"${matchedResult.searchedName || candidate.full_name}" ${submission.client_name}`
+                },
+                status: 'pending',
+                created_at: new Date().toISOString()
+              };
+
+              const inserted = this.db.batch(() => {
+                const inserted = this.db.insertAlert(alert, auditContext);
+                results.alertsCreated++;
+                results.googleAlerts++;
+                recordResult(candidate, submission, {
+                  phase: 'google_search',
+                  evidence: { resultCount, url: alert.source_links.search_url, alias: matchedAlias },
+                  outcome: 'alert_created',
+                  reason: searchMatch.reason,
+                  alert_id: inserted.lastInsertRowid
+                });
+                return inserted;
+              });
+            }
+          } catch (error) {
+            console.log(`  Error running Google search for ${candidate.full_name}: ${error.message}`);
+            for (const submission of candidateSubmissions) {
+              recordResult(candidate, submission, { phase: 'google_search', outcome: 'error', reason: error.message });
+            }
+          }
+        }
+      } else {
+        console.log(`\n--- Skipping Google Search (SERPER_API_KEY not configured) ---`);
+      }
+
+      // Find each tracked candidate's LinkedIn profile and compare listed employers
+      if (this.linkedin && this.linkedin.configured) {
+        console.log(`\n--- Checking LinkedIn Profiles ---`);
+
+        for (const [index, candidate] of candidates.entries()) {
+          if (index < phaseStart('linkedin')) continue;
+          checkpoint('linkedin', index);
+          checkCancelled();
+          reportProgress('linkedin', index + 1, candidates.length, candidate);
+          if (!candidate || alreadyChecked('linkedin', candidate)) continue;
+          const candidateSubmissions = activeSubmissions.filter(s => s.candidate_id === candidate.id);
+
+          if (candidateSubmissions.length === 0) {
+            continue;
+          }
+
+          const subKey = submissionKey(candidateSubmissions, candidate.aliases);
+          const lastLinkedin = (this.db.getMonitoringState(candidate.id) || {}).linkedin;
+          if (!forceFull && !isDue(lastLinkedin, scheduleConfig.linkedinRecheckHours, subKey)) {
+            results.linkedinSkipped++;
+            continue;
+          }
+
+          try {
+            const profile = await this.linkedin.findProfile(candidate.full_name, candidateNames(candidate).slice(1));
+            results.linkedinChecked++;
+            this.db.updateMonitoringState(candidate.id, {
+              linkedin: { checked_at: new Date().toISOString(), submission_key: subKey }
+            });
+
+            if (!profile.found) {
+              for (const submission of candidateSubmissions) {
+                recordResult(candidate, submission, {
+                  phase: 'linkedin',
+                  outcome: 'no_results',
+                  reason: profile.reason || 'No LinkedIn profile found'
+                });
+              }
+              continue;
+            }
+
+            const profileSeen = { profileUrl: profile.profileUrl, employer: profile.currentEmployer || '', alias: profile.alias || null };
+
+            // Store discovered profile URL if not set
+            if (!candidate.linkedin_url && profile.profileUrl) {
+              this.db.updateCandidate(candidate.id, { linkedin_url: profile.profileUrl }, auditContext);
+              results.linkedinProfilesFound++;
+            }
+
+            for (const submission of candidateSubmissions) {
+              const profileMatch = this.linkedin.checkProfileForClient(profile, submission.client_name, this.companyResearch);
+
+              if (!profileMatch.match) {
+                recordResult(candidate, submission, {
+                  phase: 'linkedin',
+                  evidence: profileSeen,
+                  outcome: 'no_match',
+                  reason: `Profile does not mention "${submission.client_name}"${profileSeen.employer ? ` (current employer: ${profileSeen.employer})` : ''}`
+                });
+                continue;
+              }
+
+              const existingAlert = (this.db.data.alerts || []).find(a =>
+                a.candidate_id === candidate.id &&
+                a.client_name === submission.client_name &&
+                a.source === 'LinkedIn'
+              );
+
+              if (existingAlert) {
+                recordResult(candidate, submission, {
+                  phase: 'linkedin',
+                  evidence: profileSeen,
+                  outcome: 'already_alerted',
+                  reason: profileMatch.reason,
+                  alert_id: existingAlert.id
+                });
+                continue;
+              }
+
+              console.log(`  🚨 LINKEDIN MATCH: ${candidate.full_name} → ${submission.client_name}`);
+              console.log(`      Reason: ${profileMatch.reason}`);
+
+              const alert = {
+                candidate_id: candidate.id,
+                candidate_name: candidate.full_name,
+                client_name: submission.client_name,
+                source: 'LinkedIn',
+                source_type: 'linkedin',
+                confidence: profileMatch.confidence || 'Medium',
+                match_details: `${profileMatch.reason}${profileMatch.title ? ` (title: ${profileMatch.title})` : ''}${aliasNote(profile.alias)}`,
+                matched_alias: profile.alias || null,
+                source_links: {
+                  linkedin_url: profileMatch.profileUrl || profile.profileUrl,
+                  linkedin_employer: profileMatch.employer || profile.currentEmployer || ''
+                },
+                status: 'pending',
+                created_at: new Date().toISOString()
+              };
+
+              const inserted = this.db.batch(() => {
+                const inserted = this.db.insertAlert(alert, auditContext);
+                results.alertsCreated++;
+                results.linkedinAlerts++;
+                recordResult(candidate, submission, {
+                  phase: 'linkedin',
+                  evidence: profileSeen,
+                  outcome: 'alert_created',
+                  reason: profileMatch.reason,
+                  alert_id: inserted.lastInsertRowid
+                });
+                return inserted;
+              });
+            }
+          } catch (error) {
+            console.log(`  Error checking LinkedIn for ${candidate.full_name}: ${error.message}`);
+            for (const submission of candidateSubmissions) {
+              recordResult(candidate, submission, { phase: 'linkedin', outcome: 'error', reason: error.message });
+            }
+          }
+        }
+      } else {
+        console.log(`\n--- Skipping LinkedIn (SERPER_API_KEY not configured) ---`);
+      }
+
       console.log(`\n========== Monitoring Complete ==========`);
       console.log(`Candidates checked: ${results.checked}`);
+      console.log(`NPI records unchanged (matching skipped): ${results.npiUnchanged}`);
       console.log(`NPI numbers updated: ${results.npiUpdated}`);
       console.log(`Pipeline alerts created: ${results.pipelineAlerts}`);
       console.log(`NPI location/employer alerts created: ${results.npiAlerts}`);
+      console.log(`NPI record change alerts created: ${results.npiChangeAlerts}`);
+      console.log(`NPI matches waiting for review: ${results.npiNeedsReview}`);
+      console.log(`Google searches run: ${results.googleSearched}`);
+      console.log(`Google Search alerts created: ${results.googleAlerts}`);
+      console.log(`Google searches skipped (not due): ${results.googleSkipped}`);
+      console.log(`LinkedIn profiles checked: ${results.linkedinChecked}`);
+      console.log(`LinkedIn alerts created: ${results.linkedinAlerts}`);
+      console.log(`LinkedIn lookups skipped (not due): ${results.linkedinSkipped}`);
       console.log(`Total alerts created: ${results.alertsCreated}`);
       console.log(`=========================================\n`);
 
     } catch (error) {
-      console.error('Monitoring error:', error);
+      if (error.cancelled) {
+        runCancelled = true;
+        console.log(`\n========== Monitoring Cancelled (${results.checked} candidates checked) ==========\n`);
+      } else {
+        console.error('Monitoring error:', error);
+        runError = error.message;
+      }
     } finally {
-      this.isRunning = false;
+      this.currentRun = null;
+      const { runId, ...totals } = results;
+      const status = runCancelled ? 'cancelled' : runError ? 'failed' : 'completed';
+      this.db.batch(() => {
+        // The cursor matches the final totals, so a resumed run starts where this one stopped
+        this.db.finishMonitoringRun(run.id, { status, totals, error: runError, cursor: position });
+        this.recordLastRun(trigger, startedAt, results);
+        this.releaseLock();
+      });
+      saves.release();
+      // Interval schedules count from the last run, whatever triggered it
+      this.nextRunAt = this.computeNextRun();
+      this.emit('finished', { runId: run.id, status, results, error: runError });
     }
 
+    if (runCancelled) results.cancelled = true;
     return results;
   }
 
+  /**
+   * Raise a pipeline alert when a submission is in a Hired/Placed/Started stage (once per client)
+   * Also used by the Loxo webhook the moment a candidate moves into one of those stages.
+   * @returns {object|null} { alert, created } or null if the stage isn't a hire
+   */
+  checkPipelineStage(candidate, submission, auditContext, results, recordResult = null) {
+    if (!isHiredStage(submission.pipeline_stage)) return null;
+
+    const existingAlert = (this.db.data.alerts || []).find(a =>
+      a.candidate_id === candidate.id &&
+      a.client_name === submission.client_name &&
+      a.source?.includes('Pipeline')
+    );
+
+    if (existingAlert) {
+      if (recordResult) recordResult(candidate, submission, {
+        phase: 'pipeline',
+        outcome: 'already_alerted',
+        reason: `Stage "${submission.pipeline_stage}" already alerted`,
+        alert_id: existingAlert.id
+      });
+      return { alert: existingAlert, created: false };
+    }
+
+    console.log(`  🚨 Creating HIRED alert: ${candidate.full_name} → ${submission.client_name}`);
+    const hiredAt = stageEnteredAt(submission);
+
+    const alert = {
+      candidate_id: candidate.id,
+      candidate_name: candidate.full_name,
+      client_name: submission.client_name,
+      source: `Pipeline: ${submission.pipeline_stage}`,
+      source_type: 'pipeline',
+      confidence: 'Confirmed',
+      match_details: `${candidate.full_name} was HIRED at ${submission.client_name} - ${submission.job_title}${hiredAt ? ` (${submission.pipeline_stage} on ${hiredAt.slice(0, 10)})` : ''}`,
+      status: 'pending',
+      created_at: new Date().toISOString()
+    };
+
+    const inserted = this.db.batch(() => {
+      const inserted = this.db.insertAlert(alert, auditContext);
+      results.alertsCreated++;
+      results.pipelineAlerts++;
+      if (recordResult) recordResult(candidate, submission, {
+        phase: 'pipeline',
+        outcome: 'alert_created',
+        reason: `Pipeline stage is "${submission.pipeline_stage}"`,
+        alert_id: inserted.lastInsertRowid
+      });
+      return inserted;
+    });
+    return { alert: this.db.getAlertById(inserted.lastInsertRowid), created: true };
+  }
+
+  /**
+   * Run the pipeline-alert check for one candidate's submissions, outside a monitoring run
+   * @returns {Array} alerts created
+   */
+  checkCandidatePipeline(candidateId, auditContext = {}) {
+    const candidate = this.db.getCandidateById(candidateId);
+    if (!candidate) return [];
+
+    const results = { alertsCreated: 0, pipelineAlerts: 0 };
+    const created = [];
+    for (const submission of this.db.getAllSubmissions().filter(s => s.candidate_id === candidateId)) {
+      const outcome = this.checkPipelineStage(candidate, submission, auditContext, results);
+      if (outcome && outcome.created) created.push(outcome.alert);
+    }
+    return created;
+  }
+
+  /**
+   * Store the candidate's current NPI record as a new version if it changed, and raise an
+   * "NPI Record Change" alert when the address, organization or taxonomy differs from the last version
+   * Also used by the weekly NPPES diff job (without run results).
+   * @returns {object} { created: true if a new version was stored, changes, alert }
+   */
+  recordNpiSnapshot(candidate, candidateSubmissions, provider, source, auditContext, results, recordResult = null) {
+    const snapshot = this.npi.buildSnapshot(provider);
+    const previous = this.db.getNpiSnapshots(candidate.id).slice(-1)[0];
+    const changes = previous ? this.npi.compareSnapshots(previous, snapshot) : {};
+    const { snapshot: stored, created } = this.db.recordNpiSnapshot(candidate.id, snapshot, { source, changes });
+
+    const changedFields = Object.keys(changes);
+    if (!created || !previous || changedFields.length === 0) return { created, changes, alert: null };
+
+    const summary = changedFields.map(field => `${field}: "${changes[field].from || '(none)'}" → "${changes[field].to || '(none)'}"`).join('; ');
+    console.log(`  📍 NPI RECORD CHANGED: ${candidate.full_name} (NPI ${snapshot.npi}) - ${summary}`);
+
+    const alert = {
+      candidate_id: candidate.id,
+      candidate_name: candidate.full_name,
+      client_name: [...new Set(candidateSubmissions.map(s => s.client_name).filter(Boolean))].join(', '),
+      source: 'NPI Record Change',
+      source_type: 'npi_change',
+      alert_type: 'npi_record_changed',
+      confidence: changes.organization || changes.address ? 'Medium' : 'Low',
+      match_details: `NPI ${snapshot.npi} for ${provider.fullName} changed since version ${previous.version} (${previous.captured_at.split('T')[0]}). ${summary}`,
+      business_found: [snapshot.organization, snapshot.address.city, snapshot.address.state].filter(Boolean).join(', '),
+      npi_number: snapshot.npi,
+      npi_location: `${snapshot.address.city}, ${snapshot.address.state}`.toUpperCase(),
+      npi_changes: changes,
+      npi_snapshot_id: stored.id,
+      status: 'pending',
+      created_at: new Date().toISOString()
+    };
+
+    const inserted = this.db.batch(() => {
+      const inserted = this.db.insertAlert(alert, auditContext);
+      results.alertsCreated++;
+      results.npiChangeAlerts++;
+      for (const submission of recordResult ? candidateSubmissions : []) {
+        recordResult(candidate, submission, {
+          phase: 'npi',
+          outcome: 'alert_created',
+          reason: `NPI record changed - ${summary}`,
+          alert_id: inserted.lastInsertRowid
+        });
+      }
+      return inserted;
+    });
+    return { created, changes, alert: this.db.getAlertById(inserted.lastInsertRowid) };
+  }
+
   addCompanyRelationship(parentCompany, subsidiaryOrAlias) {
     this.companyResearch.addRelationship(parentCompany, subsidiaryOrAlias);
     console.log(`Added relationship: ${parentCompany} → ${subsidiaryOrAlias}`);
@@ -317,16 +1241,180 @@ class MonitoringScheduler {
     return this.companyResearch.getAllRelationships();
   }
 
-  startSchedule(intervalMinutes = 60) {
-    console.log(`Starting monitoring schedule: every ${intervalMinutes} minutes`);
-    this.scheduleInterval = setInterval(() => {
-      this.runMonitoring();
-    }, intervalMinutes * 60 * 1000);
+  /**
+   * Get the persisted schedule config merged with defaults
+   */
+  getScheduleConfig() {
+    return { ...DEFAULT_SCHEDULE, ...(this.db.getSetting('monitoringSchedule') || {}) };
+  }
+
+  /**
+   * Validate a schedule config - returns an error message or null
+   */
+  validateSchedule(config) {
+    if (typeof config.enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+    if (!['interval', 'cron'].includes(config.mode)) {
+      return 'mode must be "interval" or "cron"';
+    }
+    if (config.mode === 'interval' && (!Number.isInteger(config.intervalMinutes) || config.intervalMinutes < 5)) {
+      return 'intervalMinutes must be a whole number of at least 5';
+    }
+    if (config.mode === 'cron') {
+      try {
+        parseCronExpression(config.cron);
+      } catch (error) {
+        return `Invalid cron expression: ${error.message}`;
+      }
+    }
+
+    const hours = config.allowedHours || {};
+    if (!Number.isInteger(hours.start) || !Number.isInteger(hours.end) ||
+        hours.start < 0 || hours.end > 24 || hours.start >= hours.end) {
+      return 'allowedHours must be { start, end } with 0 <= start < end <= 24';
+    }
+
+    if (!Array.isArray(config.daysOfWeek) || config.daysOfWeek.length === 0 ||
+        config.daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return 'daysOfWeek must be a non-empty list of days 0-6 (Sunday = 0)';
+    }
+
+    for (const field of ['googleRecheckHours', 'linkedinRecheckHours']) {
+      if (typeof config[field] !== 'number' || !(config[field] >= 0)) {
+        return `${field} must be a number of hours (0 = every run)`;
+      }
+    }
+
+    if (config.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+      } catch (error) {
+        return `Unknown timezone: ${config.timezone}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Update and persist the schedule config, then recompute the next run
+   * Call validateSchedule() first - this does not validate.
+   */
+  updateSchedule(updates, context = {}) {
+    const config = { ...this.getScheduleConfig(), ...updates };
+    this.db.setSetting('monitoringSchedule', config, context);
+    this.nextRunAt = this.computeNextRun();
+    console.log(`Monitoring schedule updated: ${config.enabled ? `next run ${this.nextRunAt ? this.nextRunAt.toISOString() : 'never'}` : 'disabled'}`);
+    return this.getSchedule();
+  }
+
+  /**
+   * Schedule config plus last/next run status
+   */
+  getSchedule() {
+    const config = this.getScheduleConfig();
+    const lastRun = this.db.getSetting('monitoringLastRun') || {};
+    return {
+      ...config,
+      active: !!this.scheduleTimer,
+      running: this.isRunning,
+      lastRunAt: lastRun.finishedAt || null,
+      lastRunTrigger: lastRun.trigger || null,
+      lastRunResult: lastRun.results || null,
+      nextRunAt: config.enabled && this.nextRunAt ? this.nextRunAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Check if a time falls within the allowed hours and days of the schedule
+   */
+  isWithinScheduleWindow(parts, config) {
+    const { start, end } = config.allowedHours;
+    return config.daysOfWeek.includes(parts.dayOfWeek) && parts.hour >= start && parts.hour < end;
+  }
+
+  /**
+   * Compute the next scheduled run time (or null if the schedule is disabled)
+   */
+  computeNextRun(from = new Date()) {
+    const config = this.getScheduleConfig();
+    if (!config.enabled) return null;
+
+    const timezone = config.timezone || null;
+    const inWindow = parts => this.isWithinScheduleWindow(parts, config);
+    const hourFilter = parts => config.daysOfWeek.includes(parts.dayOfWeek) &&
+      parts.hour >= config.allowedHours.start && parts.hour < config.allowedHours.end;
+
+    if (config.mode === 'cron') {
+      const parsed = parseCronExpression(config.cron);
+      return findNextMinute(from, parts => matchesCron(parsed, parts) && inWindow(parts), timezone,
+        parts => hourFilter(parts) && parsed.hour.has(parts.hour));
+    }
+
+    // Interval mode: due one interval after the last run, but never in the past
+    const lastRun = this.db.getSetting('monitoringLastRun');
+    let due = lastRun && lastRun.startedAt
+      ? new Date(new Date(lastRun.startedAt).getTime() + config.intervalMinutes * 60 * 1000)
+      : from;
+    if (due < from) due = from;
+
+    // findNextMinute is exclusive, so step back one minute to allow `due` itself
+    return findNextMinute(new Date(due.getTime() - 60 * 1000), inWindow, timezone, hourFilter);
+  }
+
+  /**
+   * Record the outcome of a run so the schedule can report it
+   */
+  recordLastRun(trigger, startedAt, results) {
+    this.db.setSetting('monitoringLastRun', {
+      trigger,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      results
+    }, null);
+  }
+
+  /**
+   * Start the schedule - checks once a minute whether a run is due
+   */
+  startSchedule() {
+    this.stopSchedule();
+    this.nextRunAt = this.computeNextRun();
+
+    const config = this.getScheduleConfig();
+    if (config.enabled) {
+      console.log(`Starting monitoring schedule (${config.mode === 'cron' ? `cron "${config.cron}"` : `every ${config.intervalMinutes} minutes`}), next run: ${this.nextRunAt ? this.nextRunAt.toISOString() : 'never'}`);
+    } else {
+      console.log('Monitoring schedule is disabled - enable it via PUT /api/monitoring/schedule');
+    }
+
+    this.scheduleTimer = setInterval(() => this.checkSchedule(), 60 * 1000);
+  }
+
+  /**
+   * Run monitoring if the schedule says a run is due
+   */
+  async checkSchedule() {
+    // Pick up runs orphaned by a previous process once its lock goes stale
+    this.recoverInterruptedRuns();
+
+    if (!this.getScheduleConfig().enabled || this.isRunning) return;
+    if (!this.nextRunAt || this.nextRunAt > new Date()) return;
+
+    console.log('Scheduled monitoring check triggered');
+    try {
+      await this.runMonitoring({ trigger: 'scheduled' });
+    } catch (error) {
+      console.error('Scheduled monitoring error:', error);
+    }
+    this.nextRunAt = this.computeNextRun();
   }
 
   stopSchedule() {
-    if (this.scheduleInterval) {
-      clearInterval(this.scheduleInterval);
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
       console.log('Monitoring schedule stopped');
     }
   }
@@ -0,0 +1,447 @@
+/**
+ * Name Matching
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Scores how likely a candidate name (from Loxo/CSV) and a provider name (from NPPES)
+ * belong to the same person:
+ * - first names: exact, nickname ("Bill" = "William"), prefix, typo, phonetic or initial -
+ *   a phonetic first name alone never makes a strong match ("John Smith" vs JANE SMITH and
+ *   "Dan Smith" vs DIANA SMITH score below 0.9, so they go to review)
+ * - last names: hyphenated/double surnames, maiden name kept as a middle name,
+ *   "(formerly X)" names, typos and phonetics
+ * - middle names: matching initials add a little, conflicting initials cost a lot
+ * - NPPES other_names (former/married names) are scored too; the best name wins
+ *
+ * Every score comes with a breakdown saying which rule matched each part.
+ */
+
+// Groups of interchangeable first names - any two names in a group are nicknames of each other
+const NICKNAME_GROUPS = [
+  ['william', 'bill', 'billy', 'will', 'willy', 'liam'],
+  ['robert', 'bob', 'bobby', 'rob', 'robbie', 'bert'],
+  ['richard', 'rick', 'ricky', 'rich', 'dick'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['john', 'jack', 'johnny', 'jon'],
+  ['jonathan', 'jon', 'john', 'nathan'],
+  ['joseph', 'joe', 'joey'],
+  ['michael', 'mike', 'mikey', 'mick'],
+  ['thomas', 'tom', 'tommy'],
+  ['charles', 'charlie', 'chuck', 'chas'],
+  ['christopher', 'chris', 'kit'],
+  ['daniel', 'dan', 'danny'],
+  ['david', 'dave', 'davey'],
+  ['edward', 'ed', 'eddie', 'ted', 'ned'],
+  ['anthony', 'tony'],
+  ['andrew', 'andy', 'drew'],
+  ['matthew', 'matt'],
+  ['nicholas', 'nick', 'nicky'],
+  ['stephen', 'steven', 'steve'],
+  ['timothy', 'tim', 'timmy'],
+  ['benjamin', 'ben', 'benny'],
+  ['samuel', 'sam', 'sammy'],
+  ['alexander', 'alex', 'xander', 'sandy'],
+  ['gregory', 'greg'],
+  ['jeffrey', 'geoffrey', 'jeff', 'geoff'],
+  ['kenneth', 'ken', 'kenny'],
+  ['lawrence', 'laurence', 'larry'],
+  ['patrick', 'pat', 'paddy'],
+  ['peter', 'pete'],
+  ['philip', 'phillip', 'phil'],
+  ['raymond', 'ray'],
+  ['ronald', 'ron', 'ronnie'],
+  ['donald', 'don', 'donnie'],
+  ['douglas', 'doug'],
+  ['frederick', 'fred', 'freddie'],
+  ['gerald', 'gerry', 'jerry'],
+  ['harold', 'harry', 'hal'],
+  ['henry', 'hank', 'harry'],
+  ['leonard', 'leo', 'len', 'lenny'],
+  ['vincent', 'vince', 'vinny'],
+  ['zachary', 'zach', 'zack'],
+  ['elizabeth', 'liz', 'lizzie', 'beth', 'betty', 'eliza', 'libby', 'betsy'],
+  ['katherine', 'catherine', 'kathryn', 'kathleen', 'kate', 'katie', 'kathy', 'cathy', 'kat', 'cat'],
+  ['margaret', 'maggie', 'meg', 'peggy', 'marge', 'margie', 'greta'],
+  ['jennifer', 'jen', 'jenny', 'jenn'],
+  ['jessica', 'jess', 'jessie'],
+  ['rebecca', 'becky', 'becca'],
+  ['susan', 'sue', 'susie', 'suzanne'],
+  ['patricia', 'pat', 'patty', 'trish', 'tricia'],
+  ['deborah', 'debra', 'deb', 'debbie'],
+  ['barbara', 'barb', 'barbie'],
+  ['christine', 'christina', 'chris', 'chrissy', 'tina'],
+  ['kimberly', 'kim'],
+  ['stephanie', 'steph'],
+  ['victoria', 'vicky', 'tori'],
+  ['abigail', 'abby'],
+  ['alexandra', 'alex', 'lexi', 'sandra', 'sandy'],
+  ['samantha', 'sam', 'sammy'],
+  ['amanda', 'mandy'],
+  ['cynthia', 'cindy'],
+  ['judith', 'judy'],
+  ['dorothy', 'dot', 'dottie'],
+  ['theresa', 'teresa', 'terri', 'tess'],
+  ['melissa', 'missy', 'mel'],
+  ['pamela', 'pam'],
+  ['natalie', 'natalia', 'nat'],
+  ['nicole', 'nikki'],
+  ['allison', 'alison', 'ali', 'allie'],
+  ['valerie', 'val']
+];
+
+// name -> every nickname/formal name it is interchangeable with; name -> formal names (group heads)
+const NICKNAMES = new Map();
+const FORMAL_NAMES = new Map();
+for (const group of NICKNAME_GROUPS) {
+  for (const name of group) {
+    if (!NICKNAMES.has(name)) NICKNAMES.set(name, new Set());
+    if (!FORMAL_NAMES.has(name)) FORMAL_NAMES.set(name, new Set());
+    for (const other of group) {
+      if (other !== name) NICKNAMES.get(name).add(other);
+    }
+    if (name !== group[0]) FORMAL_NAMES.get(name).add(group[0]);
+  }
+}
+
+// Leading titles, and trailing credentials/generational suffixes, that aren't part of the name
+const TITLES = new Set(['dr', 'mr', 'mrs', 'ms', 'miss']);
+const CREDENTIALS = new Set([
+  'md', 'do', 'od', 'dpm', 'dds', 'dmd', 'phd', 'np', 'pa', 'rn', 'aprn', 'faao', 'fcovd',
+  'fclsa', 'fnap', 'facs', 'ms', 'bs', 'ba', 'mba', 'jr', 'sr', 'ii', 'iii', 'iv'
+]);
+
+// Kinds of alternate names a candidate can have (candidate.aliases[].type)
+const ALIAS_TYPES = ['maiden', 'preferred', 'former', 'other'];
+
+// Weights of the first and last name in the overall score; middle names only adjust it
+const FIRST_WEIGHT = 0.45;
+const LAST_WEIGHT = 0.55;
+const MIDDLE_BONUS = 0.05;
+const MIDDLE_CONFLICT_PENALTY = 0.15;
+
+// Soundex codes collide across different (often opposite-sex) first names, so a phonetic
+// first name is capped low enough that an exact surname plus a middle initial stays under 0.9
+const PHONETIC_FIRST_NAME_MAX = 0.6;
+
+/**
+ * Lowercase a-z only (accents folded), keeping hyphens
+ */
+function normalize(value) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, '')
+    .replace(/\s*-\s*/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a full name into first, middle and last names plus alternate surnames
+ * Handles "Dr. John A. Smith, OD", "Smith, John A." and "Jane Doe (formerly Roe)".
+ * @returns {object} { firstName, middleNames: [], lastName, alternateLastNames: [] }
+ */
+function parseName(fullName) {
+  const alternateLastNames = [];
+  let name = (fullName || '').replace(/\((?:formerly|nee|née|aka|born|maiden)\s+([^)]+)\)/gi, (match, alt) => {
+    const parts = normalize(alt).split(' ').filter(Boolean);
+    if (parts.length > 0) alternateLastNames.push(parts[parts.length - 1]);
+    return ' ';
+  }).replace(/\([^)]*\)/g, ' ');
+
+  const tokenize = value => normalize(value.replace(/\./g, ' ')).split(' ').filter(Boolean);
+  const isCredentials = tokens => tokens.length > 0 && tokens.every(t => CREDENTIALS.has(t));
+
+  // "Last, First Middle" - but not "First Last, OD"
+  const segments = name.split(',').map(tokenize).filter(tokens => tokens.length > 0);
+  let tokens = segments[0] || [];
+  if (segments.length >= 2 && !isCredentials(segments[1])) {
+    tokens = [...segments[1], ...tokens];
+  }
+
+  while (tokens.length > 1 && TITLES.has(tokens[0])) tokens.shift();
+  // Only strip credentials past the first two words - "Linh Do" keeps the surname
+  while (tokens.length > 2 && CREDENTIALS.has(tokens[tokens.length - 1])) tokens.pop();
+
+  if (tokens.length === 0) return { firstName: '', middleNames: [], lastName: '', alternateLastNames };
+  if (tokens.length === 1) return { firstName: '', middleNames: [], lastName: tokens[0], alternateLastNames };
+
+  return {
+    firstName: tokens[0],
+    middleNames: tokens.slice(1, -1),
+    lastName: tokens[tokens.length - 1],
+    alternateLastNames
+  };
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * American Soundex, with common spelling variants of the first letter folded
+ * first so "Catherine"/"Kathryn" and "Philip"/"Filip" encode alike
+ */
+function soundex(value) {
+  const name = normalize(value).replace(/[^a-z]/g, '')
+    .replace(/^ph/, 'f').replace(/^kn/, 'n').replace(/^wr/, 'r').replace(/^c(?=[^eiy])/, 'k');
+  if (!name) return '';
+
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let result = name[0].toUpperCase();
+  let previous = codes[name[0]] || 0;
+  for (const char of name.slice(1)) {
+    const code = codes[char] || 0;
+    if (code && code !== previous) result += code;
+    // h and w don't separate letters with the same code; vowels do
+    if (char !== 'h' && char !== 'w') previous = code;
+    if (result.length === 4) break;
+  }
+  return result.padEnd(4, '0');
+}
+
+/**
+ * Known nicknames / formal forms of a first name
+ */
+function nicknamesFor(firstName) {
+  return [...(NICKNAMES.get(normalize(firstName)) || [])];
+}
+
+/**
+ * Compare two single name tokens
+ * @returns {object} { score, method }
+ */
+function compareTokens(a, b, { nicknames = false } = {}) {
+  if (!a || !b) return { score: 0, method: 'missing' };
+  if (a === b) return { score: 1, method: 'exact' };
+  if (nicknames && NICKNAMES.has(a) && NICKNAMES.get(a).has(b)) return { score: 0.95, method: 'nickname' };
+
+  const shorter = Math.min(a.length, b.length);
+  if (shorter >= 3 && (a.startsWith(b) || b.startsWith(a))) return { score: 0.9, method: 'prefix' };
+
+  if (shorter >= 4) {
+    const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    if (similarity >= 0.75) return { score: Math.min(0.9, round(similarity)), method: 'typo' };
+  }
+  if (shorter >= 3 && soundex(a) === soundex(b)) return { score: 0.8, method: 'phonetic' };
+  if (shorter === 1 && a[0] === b[0]) return { score: 0.7, method: 'initial' };
+
+  return { score: 0, method: 'no match' };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function best(...results) {
+  return results.reduce((top, r) => (r.score > top.score ? r : top), { score: 0, method: 'no match' });
+}
+
+/**
+ * First names: the candidate may also go by the provider's middle name
+ */
+function compareFirstNames(candidate, provider) {
+  if (!candidate.firstName || !provider.firstName) return { score: 0, method: 'missing' };
+  let direct = compareTokens(candidate.firstName, provider.firstName, { nicknames: true });
+  if (direct.score >= 0.9) return direct;
+  if (direct.method === 'phonetic') direct = { score: Math.min(direct.score, PHONETIC_FIRST_NAME_MAX), method: 'phonetic' };
+
+  const byMiddle = best(...provider.middleNames.map(m => compareTokens(candidate.firstName, m, { nicknames: true })));
+  if (byMiddle.score >= 0.9) return { score: 0.85, method: 'goes by middle name' };
+  return direct;
+}
+
+/**
+ * Last names: hyphenated/double surnames match on any part; a candidate's maiden name
+ * is often kept as a middle name ("Jane Roe Doe" = "JANE ROE")
+ */
+function compareLastNames(candidate, provider) {
+  const candidateLast = candidate.lastName;
+  const providerLast = provider.lastName;
+  if (!candidateLast || !providerLast) return { score: 0, method: 'missing' };
+
+  const joined = s => s.replace(/[-\s]/g, '');
+  if (joined(candidateLast) === joined(providerLast)) return { score: 1, method: 'exact' };
+
+  const results = [compareTokens(candidateLast, providerLast)];
+
+  const candidateParts = candidateLast.split(/[-\s]/).filter(Boolean);
+  const providerParts = providerLast.split(/[-\s]/).filter(Boolean);
+  if (candidateParts.length > 1 || providerParts.length > 1) {
+    for (const c of candidateParts) {
+      for (const p of providerParts) {
+        const part = compareTokens(c, p);
+        if (part.score > 0) results.push({ score: round(part.score * 0.95), method: `hyphenated surname (${part.method})` });
+      }
+    }
+  }
+
+  for (const middle of candidate.middleNames.filter(m => m.length > 1)) {
+    const maiden = compareTokens(middle, providerLast);
+    if (maiden.score >= 0.9) results.push({ score: round(maiden.score * 0.9), method: 'maiden name kept as middle name' });
+  }
+  for (const alternate of candidate.alternateLastNames) {
+    const former = compareTokens(alternate, providerLast);
+    if (former.score > 0) results.push({ score: round(former.score * 0.95), method: `former name (${former.method})` });
+  }
+
+  return best(...results);
+}
+
+/**
+ * Middle names only adjust the score, and only when both sides have one
+ */
+function compareMiddleNames(candidate, provider, firstMethod) {
+  const candidateMiddle = candidate.middleNames[0];
+  const providerMiddle = provider.middleNames[0];
+  if (!candidateMiddle || !providerMiddle || firstMethod === 'goes by middle name') {
+    return { adjustment: 0, method: 'not compared' };
+  }
+  if (candidateMiddle[0] !== providerMiddle[0]) {
+    // A maiden name in the middle slot isn't a conflicting middle name
+    if (candidateMiddle === provider.lastName) return { adjustment: 0, method: 'not compared' };
+    return { adjustment: -MIDDLE_CONFLICT_PENALTY, method: 'conflicting initial' };
+  }
+  return { adjustment: MIDDLE_BONUS, method: candidateMiddle.length > 1 && providerMiddle.length > 1 ? 'exact' : 'initial' };
+}
+
+/**
+ * Score one parsed candidate name against one parsed provider name
+ */
+function scoreParsed(candidate, provider) {
+  const first = compareFirstNames(candidate, provider);
+  const last = compareLastNames(candidate, provider);
+  const middle = compareMiddleNames(candidate, provider, first.method);
+  const score = Math.max(0, Math.min(1, FIRST_WEIGHT * first.score + LAST_WEIGHT * last.score + middle.adjustment));
+  return { score: round(score), first, middle, last };
+}
+
+function display(parsed) {
+  return [parsed.firstName, ...parsed.middleNames, parsed.lastName].filter(Boolean).join(' ');
+}
+
+/**
+ * Score a candidate name against a provider
+ * @param {string} candidateName - e.g. "Bill J. Smith-Jones, OD"
+ * @param {string|object} provider - a name, or a parsed NPI provider
+ *   ({ firstName, middleName, lastName, otherNames: [{ type, firstName, middleName, lastName }] })
+ * @returns {object} { score (0-1), breakdown: { matchedOn, compared, first, middle, last } }
+ */
+function matchName(candidateName, provider) {
+  const candidate = parseName(candidateName);
+
+  const names = [];
+  if (typeof provider === 'string') {
+    names.push({ matchedOn: 'name', parsed: parseName(provider) });
+  } else {
+    const legal = {
+      firstName: normalize(provider.firstName),
+      middleNames: normalize(provider.middleName).split(' ').filter(Boolean),
+      lastName: normalize(provider.lastName),
+      alternateLastNames: []
+    };
+    names.push({ matchedOn: 'legal name', parsed: legal });
+
+    // Former/married names on the NPPES record
+    for (const other of provider.otherNames || []) {
+      if (!other.lastName) continue;
+      names.push({
+        matchedOn: other.type ? `other name: ${other.type}` : 'other name',
+        parsed: {
+          firstName: normalize(other.firstName) || legal.firstName,
+          middleNames: normalize(other.middleName).split(' ').filter(Boolean),
+          lastName: normalize(other.lastName),
+          alternateLastNames: []
+        }
+      });
+    }
+  }
+
+  let top = null;
+  for (const { matchedOn, parsed } of names) {
+    const result = scoreParsed(candidate, parsed);
+    if (!top || result.score > top.score) {
+      top = { ...result, matchedOn, compared: `${display(candidate)} vs ${display(parsed)}` };
+    }
+  }
+
+  const { score, ...breakdown } = top;
+  return { score, breakdown };
+}
+
+/**
+ * First/last name pairs worth searching NPPES for: the name itself, the formal name for
+ * a nickname, each part of a hyphenated surname and any "(formerly X)" surname
+ * @returns {Array} [{ firstName, lastName }] - the parsed name first
+ */
+function searchVariants(fullName, limit = 5) {
+  const parsed = parseName(fullName);
+  if (!parsed.lastName) return [];
+
+  const variants = [];
+  const add = (firstName, lastName) => {
+    if (lastName.length < 2) return;
+    if (!variants.some(v => v.firstName === firstName && v.lastName === lastName)) variants.push({ firstName, lastName });
+  };
+
+  add(parsed.firstName, parsed.lastName);
+  for (const part of parsed.lastName.split(/[-\s]/)) add(parsed.firstName, part);
+  for (const alternate of parsed.alternateLastNames) add(parsed.firstName, alternate);
+  // Prefix searches already cover "Chris" -> "Christopher"; only add names that aren't extensions
+  for (const formal of FORMAL_NAMES.get(parsed.firstName) || []) {
+    if (!formal.startsWith(parsed.firstName)) add(formal, parsed.lastName);
+  }
+
+  return variants.slice(0, limit);
+}
+
+/**
+ * Names to search for a candidate: their full name, then each alias as a full name
+ * A surname-only alias (maiden/former) gets the candidate's first name; a first-name-only
+ * preferred alias gets their last name.
+ * @returns {Array} [{ name, alias }] - alias is null for the full name, else { name, type }
+ */
+function candidateNames(candidate) {
+  const names = [{ name: candidate.full_name, alias: null }];
+  const primary = parseName(candidate.full_name);
+  const titleCase = value => value.replace(/(^|[\s-])([a-z])/g, (match, sep, char) => sep + char.toUpperCase());
+
+  for (const alias of candidate.aliases || []) {
+    let name = (alias.name || '').trim();
+    if (!name) continue;
+    if (!/\s/.test(name)) {
+      if (alias.type === 'preferred' && primary.lastName) name = `${name} ${titleCase(primary.lastName)}`;
+      else if (alias.type !== 'preferred' && primary.firstName) name = `${titleCase(primary.firstName)} ${name}`;
+    }
+    if (!names.some(n => normalize(n.name) === normalize(name))) {
+      names.push({ name, alias: { name: alias.name, type: alias.type } });
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  ALIAS_TYPES,
+  parseName,
+  matchName,
+  searchVariants,
+  candidateNames,
+  nicknamesFor,
+  editDistance,
+  soundex
+};
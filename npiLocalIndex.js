@@ -0,0 +1,597 @@
+/**
+ * Local NPPES Provider Index
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Imports the NPPES bulk dissemination files into an embedded SQLite table so
+ * NPI lookups don't need the public API (one request per 350ms).
+ *
+ * - Monthly full file (npidata_pfile_20050523-YYYYMMDD.csv) replaces the index
+ * - Weekly incremental files (npidata_pfile_YYYYMMDD-YYYYMMDD.csv) upsert changed NPIs
+ *   and drop deactivated ones
+ * - Secondary practice location files (pl_pfile_*.csv) attach extra locations
+ * - Optionally keep only providers with selected taxonomy codes (prefixes allowed)
+ *
+ * Records are stored in the NPPES API JSON shape so NPIService parses both the same way.
+ * Requires the optional `better-sqlite3` dependency.
+ *
+ * CLI: node npiLocalIndex.js <file.csv> [--taxonomy=152W,207W] [--full|--incremental]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Taxonomy descriptions for the eye-care codes we filter on (the bulk file only has codes)
+const TAXONOMY_DESCRIPTIONS = {
+  '152W00000X': 'Optometrist',
+  '152WC0802X': 'Optometrist, Corneal and Contact Management',
+  '152WL0500X': 'Optometrist, Low Vision Rehabilitation',
+  '152WP0200X': 'Optometrist, Pediatrics',
+  '152WS0006X': 'Optometrist, Sports Vision',
+  '152WV0400X': 'Optometrist, Vision Therapy',
+  '152WX0102X': 'Optometrist, Occupational Vision',
+  '207W00000X': 'Ophthalmology',
+  '207WX0009X': 'Ophthalmology, Glaucoma Specialist',
+  '207WX0107X': 'Ophthalmology, Retina Specialist',
+  '207WX0108X': 'Ophthalmology, Uveitis and Ocular Inflammatory Disease',
+  '207WX0109X': 'Ophthalmology, Neuro-ophthalmology',
+  '207WX0110X': 'Ophthalmology, Pediatric Ophthalmology and Strabismus',
+  '207WX0120X': 'Ophthalmology, Cornea and External Diseases Specialist',
+  '207WX0200X': 'Ophthalmology, Ophthalmic Plastic and Reconstructive Surgery',
+  '156FX1100X': 'Technician/Technologist, Ophthalmic',
+  '156FX1101X': 'Technician/Technologist, Ophthalmic Assistant',
+  '156FX1201X': 'Technician/Technologist, Optometric Assistant',
+  '156FX1202X': 'Technician/Technologist, Optometric Technician',
+  '156FX1700X': 'Technician/Technologist, Ocularist',
+  '156FX1800X': 'Technician/Technologist, Optician',
+  '156FX1900X': 'Technician/Technologist, Orthoptist'
+};
+
+// NPPES "Provider Other Organization Name Type Code" values
+const OTHER_NAME_TYPES = {
+  '1': 'Former Name',
+  '2': 'Professional Name',
+  '3': 'Doing Business As',
+  '4': 'Former Legal Business Name',
+  '5': 'Other Name'
+};
+
+const BATCH_SIZE = 5000;
+
+/**
+ * Split one CSV line into fields (NPPES quotes every field; "" is an escaped quote)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * MM/DD/YYYY (bulk file) -> YYYY-MM-DD (API format)
+ */
+function toIsoDate(value) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value || '');
+  return match ? `${match[3]}-${match[1]}-${match[2]}` : (value || '');
+}
+
+class NpiLocalIndex {
+  constructor(indexPath = null) {
+    const dataDir = process.env.DATA_DIR || process.env.RENDER_DISK_PATH || '.';
+    this.indexPath = indexPath || process.env.NPPES_INDEX_PATH || path.join(dataDir, 'nppes-index.sqlite');
+    this.db = null;
+    this.importInProgress = null;
+  }
+
+  /**
+   * Open (and create) the index database
+   */
+  open() {
+    if (this.db) return this;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The local NPPES index requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.db = new Database(this.indexPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS providers (
+        npi TEXT PRIMARY KEY,
+        entity_type TEXT,
+        first_name TEXT,
+        last_name TEXT,
+        state TEXT,
+        city TEXT,
+        last_updated TEXT,
+        taxonomy_codes TEXT,
+        import_id INTEGER,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_providers_name ON providers (last_name, first_name);
+      CREATE INDEX IF NOT EXISTS idx_providers_state ON providers (state, city);
+      CREATE TABLE IF NOT EXISTS imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        taxonomy_filter TEXT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        rows_read INTEGER DEFAULT 0,
+        upserted INTEGER DEFAULT 0,
+        removed INTEGER DEFAULT 0,
+        skipped INTEGER DEFAULT 0,
+        error TEXT
+      );
+    `);
+    return this;
+  }
+
+  /**
+   * Open the index only if its file already exists
+   * @returns {boolean} true if the index is usable
+   */
+  openIfPresent() {
+    if (!fs.existsSync(this.indexPath)) return false;
+    try {
+      this.open();
+      return true;
+    } catch (error) {
+      console.warn(`⚠ Local NPPES index not available: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * True once at least one provider file has been imported
+   */
+  isReady() {
+    return Boolean(this.db) && Boolean(this.lastImport('providers'));
+  }
+
+  /**
+   * True when the last full import was unfiltered - then a miss means the NPI doesn't exist
+   * and there is no point asking the API
+   */
+  isComplete() {
+    const full = this.lastImport('providers', 'full');
+    return Boolean(full) && !full.taxonomy_filter;
+  }
+
+  /**
+   * Most recent successful import, optionally of one kind/mode
+   */
+  lastImport(kind = null, mode = null) {
+    if (!this.db) return null;
+    return this.db.prepare(`
+      SELECT * FROM imports
+      WHERE finished_at IS NOT NULL AND error IS NULL
+        AND (? IS NULL OR kind = ?) AND (? IS NULL OR mode = ?)
+      ORDER BY id DESC LIMIT 1
+    `).get(kind, kind, mode, mode) || null;
+  }
+
+  /**
+   * True if a file with this name was already imported successfully
+   */
+  hasImported(fileName) {
+    if (!this.db) return false;
+    return Boolean(this.db.prepare('SELECT 1 FROM imports WHERE file = ? AND finished_at IS NOT NULL AND error IS NULL').get(fileName));
+  }
+
+  /**
+   * Answer an NPPES API query from the index
+   * @param {object} params - the same params NPIService sends to the API
+   *   (number, first_name, last_name with optional trailing *, state, city, enumeration_type, limit)
+   * @returns {Array} results in the API JSON shape
+   */
+  query(params) {
+    if (params.number) {
+      const row = this.db.prepare('SELECT data FROM providers WHERE npi = ?').get(String(params.number));
+      return row ? [JSON.parse(row.data)] : [];
+    }
+
+    const where = [];
+    const values = [];
+    // Trailing * is a prefix search (as in the API); prefix ranges keep the name index usable
+    const addName = (column, value) => {
+      if (!value) return;
+      const name = value.toUpperCase();
+      if (name.endsWith('*')) {
+        const prefix = name.slice(0, -1);
+        where.push(`${column} >= ? AND ${column} < ?`);
+        values.push(prefix, prefix + '\uffff');
+      } else {
+        where.push(`${column} = ?`);
+        values.push(name);
+      }
+    };
+    addName('last_name', params.last_name);
+    addName('first_name', params.first_name);
+    if (where.length === 0) return [];
+
+    if (params.state) {
+      where.push('state = ?');
+      values.push(params.state.toUpperCase());
+    }
+    if (params.city) {
+      where.push('city = ?');
+      values.push(params.city.toUpperCase());
+    }
+    if (params.enumeration_type) {
+      where.push('entity_type = ?');
+      values.push(params.enumeration_type === 'NPI-2' ? '2' : '1');
+    }
+
+    const limit = Math.min(parseInt(params.limit, 10) || 10, 200);
+    return this.db.prepare(`SELECT data FROM providers WHERE ${where.join(' AND ')} ORDER BY last_name, first_name LIMIT ?`)
+      .all(...values, limit)
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Row counts and the latest imports
+   */
+  getStatus() {
+    if (!this.db) {
+      return { available: false, path: this.indexPath, importInProgress: this.importInProgress };
+    }
+    return {
+      available: true,
+      path: this.indexPath,
+      providers: this.db.prepare('SELECT COUNT(*) AS count FROM providers').get().count,
+      complete: this.isComplete(),
+      lastFullImport: this.lastImport('providers', 'full'),
+      lastIncrementalImport: this.lastImport('providers', 'incremental'),
+      lastLocationImport: this.lastImport('locations'),
+      importInProgress: this.importInProgress
+    };
+  }
+
+  /**
+   * Import an NPPES provider file or secondary practice location file
+   * @param {string} filePath - CSV path
+   * @param {object} options - { taxonomyCodes: ['152W', ...], mode: 'auto'|'full'|'incremental', name, watchNpis }
+   *   mode 'auto' treats files whose date range starts 20050523 (the NPPES start date) as full;
+   *   watchNpis (a Set) collects before/after records for those NPIs as `watched`
+   * @returns {object} the import record (plus `watched` when watchNpis was given)
+   */
+  async importFile(filePath, options = {}) {
+    if (this.importInProgress) {
+      throw new Error(`An import is already running (${this.importInProgress.file})`);
+    }
+    this.open();
+
+    const fileName = options.name || path.basename(filePath);
+    const taxonomyCodes = (options.taxonomyCodes || []).map(c => c.trim().toUpperCase()).filter(Boolean);
+    let mode = options.mode || 'auto';
+    if (mode === 'auto') mode = /_20050523-/.test(fileName) ? 'full' : 'incremental';
+
+    const input = fs.createReadStream(filePath);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const iterator = lines[Symbol.asyncIterator]();
+
+    const header = await iterator.next();
+    if (header.done) throw new Error('File is empty');
+    const columns = parseCsvLine(header.value.replace(/^\ufeff/, ''));
+    const col = {};
+    columns.forEach((name, index) => { col[name] = index; });
+
+    let kind;
+    if (col['Entity Type Code'] !== undefined) {
+      kind = 'providers';
+    } else if (col['Provider Secondary Practice Location Address- Address Line 1'] !== undefined) {
+      kind = 'locations';
+    } else {
+      lines.close();
+      throw new Error('Unrecognized file - expected an NPPES npidata_pfile or pl_pfile CSV');
+    }
+
+    const importId = this.db.prepare(`
+      INSERT INTO imports (file, kind, mode, taxonomy_filter, started_at) VALUES (?, ?, ?, ?, ?)
+    `).run(fileName, kind, mode, taxonomyCodes.join(',') || null, new Date().toISOString()).lastInsertRowid;
+    const stats = { rowsRead: 0, upserted: 0, removed: 0, skipped: 0 };
+    const watched = [];
+    this.importInProgress = { id: importId, file: fileName, kind, mode, ...stats };
+
+    console.log(`📥 Importing NPPES ${kind} file ${fileName} (${mode}${taxonomyCodes.length ? `, taxonomies ${taxonomyCodes.join(',')}` : ''})`);
+
+    try {
+      if (kind === 'providers') {
+        await this.importProviders(iterator, col, { importId, mode, taxonomyCodes, stats, watchNpis: options.watchNpis, watched });
+      } else {
+        await this.importLocations(iterator, col, stats);
+      }
+
+      this.db.prepare(`
+        UPDATE imports SET finished_at = ?, rows_read = ?, upserted = ?, removed = ?, skipped = ? WHERE id = ?
+      `).run(new Date().toISOString(), stats.rowsRead, stats.upserted, stats.removed, stats.skipped, importId);
+      console.log(`✓ NPPES import complete: ${stats.rowsRead} rows read, ${stats.upserted} upserted, ${stats.removed} removed, ${stats.skipped} skipped`);
+    } catch (error) {
+      this.db.prepare('UPDATE imports SET finished_at = ?, error = ?, rows_read = ? WHERE id = ?')
+        .run(new Date().toISOString(), error.message, stats.rowsRead, importId);
+      console.error(`NPPES import failed: ${error.message}`);
+      throw error;
+    } finally {
+      this.importInProgress = null;
+      lines.close();
+    }
+
+    const result = this.db.prepare('SELECT * FROM imports WHERE id = ?').get(importId);
+    return options.watchNpis ? { ...result, watched } : result;
+  }
+
+  /**
+   * Stream provider rows into the index in batched transactions
+   */
+  async importProviders(iterator, col, { importId, mode, taxonomyCodes, stats, watchNpis = null, watched = [] }) {
+    const upsert = this.db.prepare(`
+      INSERT INTO providers (npi, entity_type, first_name, last_name, state, city, last_updated, taxonomy_codes, import_id, data)
+      VALUES (@npi, @entity_type, @first_name, @last_name, @state, @city, @last_updated, @taxonomy_codes, @import_id, @data)
+      ON CONFLICT(npi) DO UPDATE SET
+        entity_type = excluded.entity_type, first_name = excluded.first_name, last_name = excluded.last_name,
+        state = excluded.state, city = excluded.city, last_updated = excluded.last_updated,
+        taxonomy_codes = excluded.taxonomy_codes, import_id = excluded.import_id,
+        -- Keep secondary locations from the last pl_pfile import
+        data = json_set(excluded.data, '$.practiceLocations', json(COALESCE(json_extract(providers.data, '$.practiceLocations'), '[]')))
+    `);
+    const remove = this.db.prepare('DELETE FROM providers WHERE npi = ?');
+    const select = this.db.prepare('SELECT data FROM providers WHERE npi = ?');
+
+    let batch = [];
+    const flush = this.db.transaction(rows => {
+      for (const row of rows) {
+        if (watchNpis && watchNpis.has(row.npi)) {
+          const existing = select.get(row.npi);
+          const before = existing ? JSON.parse(existing.data) : null;
+          if (before || !row.remove) {
+            watched.push({
+              npi: row.npi,
+              action: row.remove ? 'removed' : before ? 'updated' : 'added',
+              before,
+              after: row.remove ? null : { ...JSON.parse(row.data), practiceLocations: before ? before.practiceLocations : [] }
+            });
+          }
+        }
+        if (row.remove) {
+          stats.removed += remove.run(row.npi).changes;
+        } else {
+          upsert.run(row);
+          stats.upserted++;
+        }
+      }
+    });
+
+    const get = (fields, name) => (col[name] === undefined ? '' : (fields[col[name]] || '').trim());
+    const wanted = codes => taxonomyCodes.length === 0 || codes.some(code => taxonomyCodes.some(prefix => code.startsWith(prefix)));
+
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      if (!next.value) continue;
+      stats.rowsRead++;
+      const fields = parseCsvLine(next.value);
+      const npi = get(fields, 'NPI');
+      const entityType = get(fields, 'Entity Type Code');
+
+      // Deactivated NPIs come through with no entity type
+      if (!entityType || (get(fields, 'NPI Deactivation Date') && !get(fields, 'NPI Reactivation Date'))) {
+        batch.push({ npi, remove: true });
+      } else {
+        const record = this.buildRecord(fields, get);
+        const codes = record.taxonomies.map(t => t.code);
+        if (wanted(codes)) {
+          const location = record.addresses.find(a => a.address_purpose === 'LOCATION') || {};
+          batch.push({
+            npi,
+            entity_type: entityType,
+            first_name: (record.basic.first_name || '').toUpperCase(),
+            last_name: (record.basic.last_name || record.basic.organization_name || '').toUpperCase(),
+            state: (location.state || '').toUpperCase(),
+            city: (location.city || '').toUpperCase(),
+            last_updated: record.basic.last_updated,
+            taxonomy_codes: codes.join(','),
+            import_id: importId,
+            data: JSON.stringify(record)
+          });
+        } else if (mode === 'incremental') {
+          // Moved out of the filtered taxonomies
+          batch.push({ npi, remove: true });
+        } else {
+          stats.skipped++;
+        }
+      }
+
+      if (batch.length >= BATCH_SIZE) {
+        flush(batch);
+        batch = [];
+        Object.assign(this.importInProgress, stats);
+        if (stats.rowsRead % (BATCH_SIZE * 100) === 0) {
+          console.log(`  ${stats.rowsRead} rows read, ${stats.upserted} upserted`);
+        }
+      }
+    }
+    flush(batch);
+
+    // A full file replaces the index - drop providers it no longer contains
+    if (mode === 'full') {
+      stats.removed += this.db.prepare('DELETE FROM providers WHERE import_id IS NOT ?').run(importId).changes;
+    }
+  }
+
+  /**
+   * Build an API-shaped record from one npidata_pfile row
+   */
+  buildRecord(fields, get) {
+    const address = prefix => ({
+      address_1: get(fields, `Provider First Line Business ${prefix} Address`),
+      address_2: get(fields, `Provider Second Line Business ${prefix} Address`),
+      city: get(fields, `Provider Business ${prefix} Address City Name`),
+      state: get(fields, `Provider Business ${prefix} Address State Name`),
+      postal_code: get(fields, `Provider Business ${prefix} Address Postal Code`),
+      telephone_number: get(fields, `Provider Business ${prefix} Address Telephone Number`),
+      fax_number: get(fields, `Provider Business ${prefix} Address Fax Number`)
+    });
+
+    const taxonomies = [];
+    for (let i = 1; i <= 15; i++) {
+      const code = get(fields, `Healthcare Provider Taxonomy Code_${i}`);
+      if (!code) continue;
+      taxonomies.push({
+        code,
+        desc: TAXONOMY_DESCRIPTIONS[code] || '',
+        license: get(fields, `Provider License Number_${i}`),
+        state: get(fields, `Provider License Number State Code_${i}`),
+        primary: get(fields, `Healthcare Provider Primary Taxonomy Switch_${i}`) === 'Y'
+      });
+    }
+
+    const otherNames = [];
+    const otherOrganization = get(fields, 'Provider Other Organization Name');
+    if (otherOrganization) {
+      otherNames.push({
+        type: OTHER_NAME_TYPES[get(fields, 'Provider Other Organization Name Type Code')] || 'Other Name',
+        organization_name: otherOrganization
+      });
+    }
+    const otherLast = get(fields, 'Provider Other Last Name');
+    if (otherLast) {
+      otherNames.push({
+        type: OTHER_NAME_TYPES[get(fields, 'Provider Other Last Name Type Code')] || 'Other Name',
+        first_name: get(fields, 'Provider Other First Name'),
+        middle_name: get(fields, 'Provider Other Middle Name'),
+        last_name: otherLast
+      });
+    }
+
+    return {
+      number: get(fields, 'NPI'),
+      enumeration_type: get(fields, 'Entity Type Code') === '2' ? 'NPI-2' : 'NPI-1',
+      basic: {
+        first_name: get(fields, 'Provider First Name'),
+        last_name: get(fields, 'Provider Last Name (Legal Name)'),
+        middle_name: get(fields, 'Provider Middle Name'),
+        credential: get(fields, 'Provider Credential Text'),
+        gender: get(fields, 'Provider Gender Code'),
+        organization_name: get(fields, 'Provider Organization Name (Legal Business Name)'),
+        status: 'A',
+        enumeration_date: toIsoDate(get(fields, 'Provider Enumeration Date')),
+        last_updated: toIsoDate(get(fields, 'Last Update Date'))
+      },
+      addresses: [
+        { address_purpose: 'LOCATION', ...address('Practice Location') },
+        { address_purpose: 'MAILING', ...address('Mailing') }
+      ].filter(a => a.address_1 || a.city),
+      practiceLocations: [],
+      taxonomies,
+      other_names: otherNames
+    };
+  }
+
+  /**
+   * Attach secondary practice locations to providers already in the index
+   * Each NPI's locations are replaced by the ones in this file.
+   */
+  async importLocations(iterator, col, stats) {
+    const select = this.db.prepare('SELECT data FROM providers WHERE npi = ?');
+    const update = this.db.prepare('UPDATE providers SET data = ? WHERE npi = ?');
+    const locationsByNpi = new Map();
+
+    const get = (fields, name) => (col[name] === undefined ? '' : (fields[col[name]] || '').trim());
+
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      if (!next.value) continue;
+      stats.rowsRead++;
+      const fields = parseCsvLine(next.value);
+      const npi = get(fields, 'NPI');
+      if (!select.get(npi)) {
+        stats.skipped++;
+        continue;
+      }
+      if (!locationsByNpi.has(npi)) locationsByNpi.set(npi, []);
+      // Column names as published (including their inconsistent spacing)
+      locationsByNpi.get(npi).push({
+        address_purpose: 'LOCATION',
+        address_1: get(fields, 'Provider Secondary Practice Location Address- Address Line 1'),
+        address_2: get(fields, 'Provider Secondary Practice Location Address-  Address Line 2'),
+        city: get(fields, 'Provider Secondary Practice Location Address - City Name'),
+        state: get(fields, 'Provider Secondary Practice Location Address - State Name'),
+        postal_code: get(fields, 'Provider Secondary Practice Location Address - Postal Code'),
+        telephone_number: get(fields, 'Provider Secondary Practice Location Address - Telephone Number'),
+        fax_number: get(fields, 'Provider Practice Location Address - Fax Number')
+      });
+    }
+
+    const save = this.db.transaction(() => {
+      for (const [npi, locations] of locationsByNpi) {
+        const record = JSON.parse(select.get(npi).data);
+        record.practiceLocations = locations;
+        update.run(JSON.stringify(record), npi);
+        stats.upserted++;
+      }
+    });
+    save();
+  }
+
+  close() {
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+}
+
+module.exports = NpiLocalIndex;
+
+// Command-line import
+if (require.main === module) {
+  require('dotenv').config();
+  const args = process.argv.slice(2);
+  const file = args.find(a => !a.startsWith('--'));
+  if (!file) {
+    console.error('Usage: node npiLocalIndex.js <npidata_pfile.csv|pl_pfile.csv> [--taxonomy=152W,207W] [--full|--incremental]');
+    process.exit(1);
+  }
+
+  const taxonomyArg = args.find(a => a.startsWith('--taxonomy='));
+  const taxonomyCodes = taxonomyArg
+    ? taxonomyArg.split('=')[1].split(',')
+    : (process.env.NPPES_TAXONOMY_FILTER || '').split(',');
+  const mode = args.includes('--full') ? 'full' : args.includes('--incremental') ? 'incremental' : 'auto';
+
+  const index = new NpiLocalIndex();
+  index.importFile(file, { taxonomyCodes, mode })
+    .then(result => {
+      console.log(JSON.stringify(result, null, 2));
+      index.close();
+    })
+    .catch(error => {
+      console.error(error.message);
+      index.close();
+      process.exit(1);
+    });
+}
@@ -19,6 +19,7 @@
  */
 
 const https = require('https');
+const nameMatcher = require('./nameMatcher');
 
 class NPIService {
   constructor() {
@@ -29,6 +30,17 @@ class NPIService {
     // Rate limiting: NPPES recommends max 200 requests per minute
     this.requestDelay = 350; // ms between requests (safe rate)
     this.lastRequestTime = 0;
+
+    // Optional local copy of the NPPES bulk file (see npiLocalIndex.js)
+    this.localIndex = null;
+    this.lookupStats = { local: 0, api: 0 };
+  }
+
+  /**
+   * Answer lookups from a local NPPES index before calling the API
+   */
+  useLocalIndex(index) {
+    this.localIndex = index;
   }
 
   /**
@@ -86,67 +98,114 @@ class NPIService {
   }
 
   /**
-   * Parse a full name into first and last name components
-   * Handles: "Dr. John Smith", "John A. Smith MD", "Smith, John", etc.
+   * Run a query against the local index, falling back to the API when the index isn't loaded,
+   * or misses and was only imported for some taxonomies
+   * @param {object} params - NPPES API query parameters
    */
-  parseName(fullName) {
-    if (!fullName) return { firstName: '', lastName: '' };
-
-    let name = fullName.trim();
-    
-    // Remove common prefixes
-    const prefixes = ['Dr.', 'Dr', 'MD', 'M.D.', 'DO', 'D.O.', 'OD', 'O.D.', 'DPM', 'DDS', 'DMD', 'PhD', 'Ph.D.', 'NP', 'PA', 'RN', 'APRN'];
-    for (const prefix of prefixes) {
-      const regex = new RegExp(`^${prefix}\\s+`, 'i');
-      name = name.replace(regex, '');
-      // Also remove from end
-      const endRegex = new RegExp(`\\s*,?\\s*${prefix}$`, 'i');
-      name = name.replace(endRegex, '');
-    }
-    
-    name = name.trim();
-
-    // Handle "Last, First" format
-    if (name.includes(',')) {
-      const parts = name.split(',').map(p => p.trim());
-      return {
-        firstName: parts[1] || '',
-        lastName: parts[0] || ''
-      };
+  async lookup(params) {
+    if (this.localIndex && this.localIndex.isReady()) {
+      try {
+        const results = this.localIndex.query(params);
+        if (results.length > 0 || this.localIndex.isComplete()) {
+          this.lookupStats.local++;
+          return { result_count: results.length, results };
+        }
+      } catch (error) {
+        console.warn(`  Local NPPES index query failed, using API: ${error.message}`);
+      }
     }
 
-    // Handle "First Middle Last" or "First Last" format
-    const parts = name.split(/\s+/);
-    if (parts.length === 1) {
-      return { firstName: '', lastName: parts[0] };
-    } else if (parts.length === 2) {
-      return { firstName: parts[0], lastName: parts[1] };
-    } else {
-      // Multiple parts - first is first name, last is last name, middle ignored
-      return {
-        firstName: parts[0],
-        lastName: parts[parts.length - 1]
-      };
-    }
+    this.lookupStats.api++;
+    return this.makeRequest(params);
+  }
+
+  /**
+   * Parse a full name into first, middle and last name components
+   * Handles: "Dr. John Smith", "John A. Smith MD", "Smith, John", etc. (see nameMatcher.js)
+   */
+  parseName(fullName) {
+    const { firstName, middleNames, lastName } = nameMatcher.parseName(fullName);
+    return { firstName, middleName: middleNames.join(' '), lastName };
   }
 
   /**
    * MAIN METHOD: Search for a provider by name
    * This is the primary search method - no NPI number needed!
    * 
+   * Also searches the formal name for a nickname ("Bill" -> "William"), each part of a
+   * hyphenated surname and "(formerly X)" surnames, then scores every result with nameMatcher.
+   * 
    * @param {string} fullName - Candidate's full name (e.g., "Dr. John Smith")
    * @param {string} state - Optional state to narrow search (e.g., "CA")
    * @param {string} city - Optional city to narrow search
-   * @returns {Array} List of matching providers with their NPI and employer info
+   * @returns {Array} List of matching providers with their NPI, employer info, matchScore and matchBreakdown
    */
   async searchByName(fullName, state = null, city = null) {
-    const { firstName, lastName } = this.parseName(fullName);
+    const variants = nameMatcher.searchVariants(fullName);
     
-    if (!lastName) {
+    if (variants.length === 0) {
       console.warn(`  Cannot search NPI - no last name extracted from: ${fullName}`);
       return [];
     }
 
+    try {
+      const { firstName, lastName } = variants[0];
+      const extra = variants.length > 1 ? ` (+${variants.length - 1} name variant${variants.length > 2 ? 's' : ''})` : '';
+      console.log(`  Searching NPI registry for: ${firstName} ${lastName}${state ? ` in ${state}` : ''}${extra}`);
+
+      const results = new Map();
+      for (const variant of variants) {
+        const response = await this.lookup(this.buildNameParams(variant, state, city));
+        for (const result of response.results || []) {
+          if (!results.has(result.number)) results.set(result.number, result);
+        }
+      }
+      
+      if (results.size === 0) {
+        console.log(`    No NPI records found`);
+        return [];
+      }
+
+      console.log(`    Found ${results.size} potential matches`);
+      
+      // Score and sort by name match quality (legal name and NPPES other names)
+      const scored = [...results.values()].map(result => {
+        const provider = this.parseProviderResult(result);
+        const { score, breakdown } = nameMatcher.matchName(fullName, provider);
+        return { ...provider, matchScore: score, matchBreakdown: breakdown };
+      });
+      
+      scored.sort((a, b) => b.matchScore - a.matchScore);
+      
+      return scored;
+
+    } catch (error) {
+      console.error(`  NPI search error for ${fullName}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Search NPPES under a candidate's full name and every alias (see nameMatcher.candidateNames)
+   * Each provider keeps its best score; matchedAlias says which alias found it (null = full name).
+   */
+  async searchCandidate(candidate, state = null, city = null) {
+    const best = new Map();
+    for (const { name, alias } of nameMatcher.candidateNames(candidate)) {
+      for (const provider of await this.searchByName(name, state, city)) {
+        const current = best.get(provider.npi);
+        if (!current || provider.matchScore > current.matchScore) {
+          best.set(provider.npi, { ...provider, matchedAlias: alias });
+        }
+      }
+    }
+    return [...best.values()].sort((a, b) => b.matchScore - a.matchScore);
+  }
+
+  /**
+   * NPPES query parameters for one first/last name pair
+   */
+  buildNameParams({ firstName, lastName }, state = null, city = null) {
     const params = {
       enumeration_type: 'NPI-1', // Individual providers only
       limit: 50 // Get multiple results to find best match
@@ -164,34 +223,7 @@ class NPIService {
     if (state) params.state = state.toUpperCase();
     if (city) params.city = city;
 
-    try {
-      console.log(`  Searching NPI registry for: ${firstName} ${lastName}${state ? ` in ${state}` : ''}`);
-      const response = await this.makeRequest(params);
-      
-      if (response.result_count === 0) {
-        console.log(`    No NPI records found`);
-        return [];
-      }
-
-      console.log(`    Found ${response.result_count} potential matches`);
-      
-      // Process results
-      const providers = (response.results || []).map(result => this.parseProviderResult(result));
-      
-      // Score and sort by name match quality
-      const scored = providers.map(p => ({
-        ...p,
-        matchScore: this.calculateNameMatchScore(fullName, `${p.firstName} ${p.lastName}`)
-      }));
-      
-      scored.sort((a, b) => b.matchScore - a.matchScore);
-      
-      return scored;
-
-    } catch (error) {
-      console.error(`  NPI search error for ${fullName}:`, error.message);
-      return [];
-    }
+    return params;
   }
 
   /**
@@ -205,7 +237,7 @@ class NPIService {
 
     try {
       console.log(`  Looking up NPI: ${npiNumber}`);
-      const response = await this.makeRequest({ number: npiNumber });
+      const response = await this.lookup({ number: npiNumber });
       
       if (response.result_count === 0) {
         console.log(`    NPI ${npiNumber} not found`);
@@ -234,9 +266,17 @@ class NPIService {
     // Get primary taxonomy (specialty)
     const primaryTaxonomy = taxonomies.find(t => t.primary) || taxonomies[0] || {};
 
+    // Every address: primary practice location, secondary practice locations, then mailing
+    const locations = [
+      ...addresses.filter(a => a.address_purpose === 'LOCATION').map(a => this.parseAddress(a, 'primary')),
+      ...(result.practiceLocations || []).map(a => this.parseAddress(a, 'secondary')),
+      ...addresses.filter(a => a.address_purpose !== 'LOCATION').map(a => this.parseAddress(a, 'mailing'))
+    ];
+
     return {
       npi: result.number,
       firstName: basic.first_name || '',
+      middleName: basic.middle_name || '',
       lastName: basic.last_name || '',
       fullName: `${basic.first_name || ''} ${basic.last_name || ''}`.trim(),
       credential: basic.credential || '',
@@ -263,30 +303,190 @@ class NPIService {
         description: primaryTaxonomy.desc || '',
         license: primaryTaxonomy.license || '',
         state: primaryTaxonomy.state || ''
+      },
+
+      locations,
+      taxonomies: taxonomies.map(t => ({
+        code: t.code || '',
+        description: t.desc || '',
+        license: t.license || '',
+        state: t.state || '',
+        primary: Boolean(t.primary)
+      })),
+      // Former names, DBAs etc. - organization names here are checked as employers too
+      otherNames: (result.other_names || []).map(n => ({
+        type: n.type || '',
+        firstName: n.first_name || '',
+        middleName: n.middle_name || '',
+        lastName: n.last_name || '',
+        organizationName: n.organization_name || ''
+      }))
+    };
+  }
+
+  /**
+   * Parse one NPPES address entry
+   * @param {string} kind - 'primary' | 'secondary' | 'mailing'
+   */
+  parseAddress(address, kind) {
+    return {
+      kind,
+      organizationName: address.organization_name || '',
+      line1: address.address_1 || '',
+      line2: address.address_2 || '',
+      city: address.city || '',
+      state: address.state || '',
+      zip: address.postal_code || '',
+      phone: address.telephone_number || '',
+      fax: address.fax_number || ''
+    };
+  }
+
+  /**
+   * Every address to compare against a job location, primary practice location first
+   * Falls back to practiceAddress for providers parsed before locations were kept.
+   */
+  getProviderLocations(provider) {
+    if (provider.locations && provider.locations.length > 0) return provider.locations;
+    return provider.practiceAddress ? [{ kind: 'primary', ...provider.practiceAddress }] : [];
+  }
+
+  /**
+   * Every employer name on the record with where it came from
+   * @returns {Array} [{ name, via }] - de-duplicated, primary organization first
+   */
+  getEmployerNames(provider) {
+    const names = [];
+    const add = (name, via) => {
+      if (name && !names.some(n => n.name.toLowerCase() === name.toLowerCase())) {
+        names.push({ name, via });
       }
     };
+
+    add(provider.organizationName, 'primary organization');
+    for (const location of provider.locations || []) {
+      add(location.organizationName, `${location.kind} location`);
+    }
+    for (const other of provider.otherNames || []) {
+      add(other.organizationName, other.type ? `other name: ${other.type}` : 'other name');
+    }
+    return names;
   }
 
   /**
-   * Calculate how well two names match (0-1 score)
+   * True if any of the provider's taxonomies is eye care
+   * Codes are checked too - records from the local bulk-file index may lack descriptions.
    */
-  calculateNameMatchScore(name1, name2) {
-    const n1 = name1.toLowerCase().replace(/[^a-z\s]/g, '').trim();
-    const n2 = name2.toLowerCase().replace(/[^a-z\s]/g, '').trim();
-    
-    if (n1 === n2) return 1.0;
-    
-    const words1 = n1.split(/\s+/);
-    const words2 = n2.split(/\s+/);
-    
-    let matches = 0;
-    for (const w1 of words1) {
-      if (words2.some(w2 => w1 === w2 || w1.startsWith(w2) || w2.startsWith(w1))) {
-        matches++;
+  isEyeCareProvider(provider) {
+    const taxonomies = provider.taxonomies && provider.taxonomies.length > 0 ? provider.taxonomies : [provider.taxonomy || {}];
+    return taxonomies.some(t => {
+      const desc = (t.description || '').toLowerCase();
+      return desc.includes('optometr') || desc.includes('ophthalm') || desc.includes('optic') ||
+        /^(152W|207W|156F)/.test(t.code || '');
+    });
+  }
+
+  /**
+   * Decide whether name-search results identify one provider or need a recruiter to pick
+   * A match is only taken automatically when exactly one provider scores 0.9+ and no other
+   * plausible provider (0.8+) competes with it; eye care providers are preferred.
+   * @param {Array} providers - searchByName() results (with matchScore)
+   * @param {Array} rejected - NPIs rejected for this candidate, never suggested again
+   * @returns {object} { match, ambiguous, options }
+   */
+  classifyMatches(providers, rejected = []) {
+    const plausible = (providers || []).filter(p => p.matchScore >= 0.5 && !rejected.includes(p.npi));
+    const eyeCare = plausible.filter(p => this.isEyeCareProvider(p));
+    const pool = eyeCare.length > 0 ? eyeCare : plausible;
+
+    const strong = pool.filter(p => p.matchScore >= 0.9);
+    const competing = pool.filter(p => p.matchScore >= 0.8);
+    if (strong.length === 1 && competing.length === 1) {
+      return { match: strong[0], ambiguous: false, options: plausible.slice(0, 10) };
+    }
+
+    return { match: null, ambiguous: pool.length > 0, options: plausible.slice(0, 10) };
+  }
+
+  /**
+   * What a recruiter needs to tell providers apart in the NPI review queue
+   */
+  summarizeProvider(provider) {
+    return {
+      npi: provider.npi,
+      fullName: provider.fullName,
+      credential: provider.credential || '',
+      matchScore: provider.matchScore ?? null,
+      matchBreakdown: provider.matchBreakdown || null,
+      matchedAlias: provider.matchedAlias || null,
+      eyeCare: this.isEyeCareProvider(provider),
+      organizationName: provider.organizationName || '',
+      lastUpdated: provider.lastUpdated || '',
+      taxonomies: (provider.taxonomies || []).map(t => ({ code: t.code, description: t.description, state: t.state, primary: t.primary })),
+      locations: this.getProviderLocations(provider).map(l => ({
+        kind: l.kind,
+        organizationName: l.organizationName || '',
+        line1: l.line1,
+        city: l.city,
+        state: l.state,
+        zip: (l.zip || '').substring(0, 5)
+      }))
+    };
+  }
+
+  /**
+   * Reduce a parsed provider to the fields we track for change history
+   */
+  buildSnapshot(provider) {
+    const address = provider.practiceAddress || {};
+    return {
+      npi: provider.npi,
+      last_updated: provider.lastUpdated || '',
+      organization: provider.organizationName || '',
+      address: {
+        line1: address.line1 || '',
+        line2: address.line2 || '',
+        city: address.city || '',
+        state: address.state || '',
+        zip: (address.zip || '').substring(0, 5)
+      },
+      taxonomy: {
+        code: provider.taxonomy?.code || '',
+        description: provider.taxonomy?.description || ''
       }
+    };
+  }
+
+  /**
+   * Compare two snapshots on the fields that signal a job move
+   * @returns {object} { address, organization, taxonomy } - only the ones that changed, as { from, to }
+   */
+  compareSnapshots(previous, current) {
+    const changes = {};
+    const norm = value => (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const formatAddress = a => [a.line1, a.line2, a.city, a.state, a.zip].filter(Boolean).join(', ');
+
+    const prevAddress = previous.address || {};
+    const currAddress = current.address || {};
+    if (['line1', 'line2', 'city', 'state', 'zip'].some(f => norm(prevAddress[f]) !== norm(currAddress[f]))) {
+      changes.address = { from: formatAddress(prevAddress), to: formatAddress(currAddress) };
     }
-    
-    return matches / Math.max(words1.length, words2.length);
+    if (norm(previous.organization) !== norm(current.organization)) {
+      changes.organization = { from: previous.organization || '', to: current.organization || '' };
+    }
+    if ((previous.taxonomy?.code || '') !== (current.taxonomy?.code || '')) {
+      changes.taxonomy = { from: previous.taxonomy?.description || '', to: current.taxonomy?.description || '' };
+    }
+
+    return changes;
+  }
+
+  /**
+   * Calculate how well two names match (0-1 score)
+   * @param {string|object} name2 - a name or a parsed provider (see nameMatcher.matchName)
+   */
+  calculateNameMatchScore(name1, name2) {
+    return nameMatcher.matchName(name1, name2).score;
   }
 
   /**
@@ -312,7 +512,8 @@ class NPIService {
 
     // Strategy 2: Search by name (works even without NPI)
     if (providers.length === 0) {
-      providers = await this.searchByName(candidate.full_name);
+      const rejected = candidate.npi_rejected || [];
+      providers = (await this.searchCandidate(candidate)).filter(p => !rejected.includes(p.npi));
       searchMethod = 'name search';
       
       // If we found a high-confidence match, we might want to store the NPI for future use
@@ -331,32 +532,30 @@ class NPIService {
       // Skip if name match is too weak
       if (provider.matchScore < 0.5) continue;
 
-      const employerName = provider.organizationName;
-      
-      if (!employerName) {
-        // No employer listed - might be self-employed or not updated
-        continue;
-      }
+      // Primary organization, location organizations and other_names - none listed
+      // usually means self-employed or not updated
+      for (const { name: employerName, via } of this.getEmployerNames(provider)) {
+        // Check if employer matches client
+        const matchResult = this.compareEmployerToClient(employerName, clientName);
+        if (!matchResult.isMatch) continue;
 
-      // Check if employer matches client
-      const matchResult = this.compareEmployerToClient(employerName, clientName);
-      
-      if (matchResult.isMatch) {
-        console.log(`    🚨 MATCH FOUND: ${provider.fullName} at "${employerName}" matches client "${clientName}"`);
+        console.log(`    🚨 MATCH FOUND: ${provider.fullName} at "${employerName}" (${via}) matches client "${clientName}"`);
         
         return {
           source: 'NPI',
           confidence: matchResult.confidence,
           matchDetails: `NPI Registry (${searchMethod}) shows ${provider.fullName} (NPI: ${provider.npi}) ` +
-                       `is currently at "${employerName}" - ${matchResult.matchType} match with submitted client "${clientName}"`,
+                       `is currently at "${employerName}" (${via}) - ${matchResult.matchType} match with submitted client "${clientName}"`,
           npiNumber: provider.npi,
           employerFound: employerName,
+          employerSource: via,
           providerInfo: {
             npi: provider.npi,
             name: provider.fullName,
             credential: provider.credential,
             specialty: provider.taxonomy.description,
             address: provider.practiceAddress,
+            locations: this.getProviderLocations(provider),
             lastUpdated: provider.lastUpdated
           }
         };
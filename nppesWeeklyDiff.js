@@ -0,0 +1,200 @@
+/**
+ * Weekly NPPES Diff Job
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Applies the weekly NPPES incremental files to the local provider index and
+ * intersects the changed NPIs with our candidates' npi_number values:
+ * - every tracked candidate whose record changed gets a new NPI version
+ * - address/organization/taxonomy changes raise an "NPI Record Change" alert
+ * - each file produces a "what changed this week" report
+ *
+ * Unzipped weekly files (npidata_pfile_YYYYMMDD-YYYYMMDD.csv) are picked up from
+ * NPPES_WEEKLY_DIR; files already applied to the index are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Date range from an NPPES file name, e.g. npidata_pfile_20261013-20261019.csv
+ */
+function periodFromFileName(fileName) {
+  const match = /_(\d{4})(\d{2})(\d{2})-(\d{4})(\d{2})(\d{2})/.exec(fileName);
+  if (!match) return null;
+  return { from: `${match[1]}-${match[2]}-${match[3]}`, to: `${match[4]}-${match[5]}-${match[6]}` };
+}
+
+class NppesWeeklyDiff {
+  constructor(db, npiIndex, npiService, scheduler) {
+    this.db = db;
+    this.index = npiIndex;
+    this.npi = npiService;
+    this.scheduler = scheduler;
+
+    const dataDir = process.env.DATA_DIR || process.env.RENDER_DISK_PATH || '.';
+    this.weeklyDir = process.env.NPPES_WEEKLY_DIR || path.join(dataDir, 'nppes-weekly');
+    this.checkHours = parseFloat(process.env.NPPES_WEEKLY_CHECK_HOURS) || 24;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Weekly provider files in the drop folder that haven't been applied yet, oldest first
+   */
+  getPendingFiles() {
+    if (!fs.existsSync(this.weeklyDir)) return [];
+    return fs.readdirSync(this.weeklyDir)
+      .filter(name => /^npidata_pfile_\d{8}-\d{8}\.csv$/i.test(name) && !/_20050523-/.test(name))
+      .filter(name => !this.index.hasImported(name))
+      .sort();
+  }
+
+  /**
+   * Apply every pending weekly file
+   * @param {object} context - audit context for alerts
+   * @returns {Array} reports created
+   */
+  async applyPending(context = {}) {
+    if (this.running) throw new Error('The weekly NPPES diff is already running');
+    if (!this.index.isReady()) {
+      console.log('⚠ Weekly NPPES diff skipped - import a full NPPES file into the local index first');
+      return [];
+    }
+
+    this.running = true;
+    const reports = [];
+    try {
+      for (const name of this.getPendingFiles()) {
+        // Weekly files keep the taxonomy filter of the last full import
+        const options = { name, mode: 'incremental', taxonomyCodes: this.lastTaxonomyFilter() };
+        const { report } = await this.applyFile(path.join(this.weeklyDir, name), options, context);
+        if (report) reports.push(report);
+      }
+    } finally {
+      this.running = false;
+    }
+    return reports;
+  }
+
+  /**
+   * Import one NPPES file; incremental provider files also produce a change report
+   * @param {object} options - passed to NpiLocalIndex.importFile (taxonomyCodes, mode, name)
+   * @returns {object} { import, report }
+   */
+  async applyFile(filePath, options = {}, context = {}) {
+    const byNpi = new Map();
+    for (const candidate of this.db.getAllCandidates()) {
+      if (!candidate.npi_number) continue;
+      if (!byNpi.has(candidate.npi_number)) byNpi.set(candidate.npi_number, []);
+      byNpi.get(candidate.npi_number).push(candidate);
+    }
+
+    const { watched, ...imported } = await this.index.importFile(filePath, { ...options, watchNpis: new Set(byNpi.keys()) });
+    if (imported.kind !== 'providers' || imported.mode !== 'incremental') {
+      return { import: imported, report: null };
+    }
+
+    return { import: imported, report: this.buildReport(imported, watched, byNpi, context) };
+  }
+
+  /**
+   * Taxonomy filter of the last full import
+   */
+  lastTaxonomyFilter() {
+    const full = this.index.lastImport('providers', 'full');
+    return full && full.taxonomy_filter ? full.taxonomy_filter.split(',') : [];
+  }
+
+  /**
+   * Record new NPI versions for tracked candidates in a weekly file, alert on moves, save the report
+   */
+  buildReport(imported, watched, byNpi, context = {}) {
+    const auditContext = { actor: context.actor || 'system', origin: 'nppes_weekly', source: imported.file };
+    const submissions = this.db.getAllSubmissions();
+    const results = { alertsCreated: 0, npiChangeAlerts: 0 };
+    const entries = [];
+
+    const report = this.db.batch(() => {
+      for (const change of watched) {
+        for (const candidate of byNpi.get(change.npi) || []) {
+          const entry = {
+            candidate_id: candidate.id,
+            candidate_name: candidate.full_name,
+            npi: change.npi,
+            action: change.action,
+            changes: {},
+            alert_id: null
+          };
+
+          if (change.action === 'removed') {
+            // Deactivated (or dropped out of the imported taxonomies) - reported, but not a move
+            entry.changes = { status: { from: 'active', to: 'removed from NPPES index' } };
+            entries.push(entry);
+            continue;
+          }
+
+          // Seed the history with the pre-update record so the first diff has a baseline
+          if (change.before && this.db.getNpiSnapshots(candidate.id).length === 0) {
+            const baseline = this.npi.buildSnapshot(this.npi.parseProviderResult(change.before));
+            this.db.recordNpiSnapshot(candidate.id, baseline, { source: 'nppes_index' });
+          }
+
+          const provider = this.npi.parseProviderResult(change.after);
+          const candidateSubmissions = submissions.filter(s => s.candidate_id === candidate.id);
+          const outcome = this.scheduler.recordNpiSnapshot(candidate, candidateSubmissions, provider, 'nppes_weekly', auditContext, results);
+          // A new record version whose tracked fields are unchanged (e.g. only last_updated) isn't reported
+          if (Object.keys(outcome.changes || {}).length === 0 && !outcome.alert) continue;
+          entry.changes = outcome.changes;
+          entry.alert_id = outcome.alert ? outcome.alert.id : null;
+          entries.push(entry);
+        }
+      }
+
+      return this.db.addNpiChangeReport({
+        file: imported.file,
+        import_id: imported.id,
+        period: periodFromFileName(imported.file),
+        actor: auditContext.actor,
+        rows_read: imported.rows_read,
+        npis_changed: imported.upserted + imported.removed,
+        tracked_candidates: [...byNpi.values()].reduce((sum, list) => sum + list.length, 0),
+        candidates_changed: entries.length,
+        alerts_created: results.npiChangeAlerts,
+        entries
+      });
+    });
+
+    console.log(`📋 NPPES weekly diff ${imported.file}: ${report.npis_changed} NPIs changed, ${report.candidates_changed} tracked candidate(s), ${report.alerts_created} alert(s)`);
+    return report;
+  }
+
+  /**
+   * Check the drop folder now and every NPPES_WEEKLY_CHECK_HOURS
+   * Without an index or a drop folder, nothing is applied now; later checks pick them up.
+   * @returns {object} { watching, reason } - reason says why nothing is being applied yet
+   */
+  start() {
+    this.stop();
+    const check = () => {
+      if (this.running) return;
+      this.applyPending({ actor: 'system' }).catch(error => console.error('Weekly NPPES diff error:', error.message));
+    };
+    this.timer = setInterval(check, this.checkHours * 60 * 60 * 1000);
+
+    if (!this.index.isReady()) {
+      return { watching: false, reason: 'import a full NPPES file into the local index first' };
+    }
+    if (!fs.existsSync(this.weeklyDir)) {
+      return { watching: false, reason: `${this.weeklyDir} doesn't exist` };
+    }
+    check();
+    return { watching: true, reason: null };
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = NppesWeeklyDiff;
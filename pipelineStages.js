@@ -0,0 +1,90 @@
+/**
+ * Pipeline Stages
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Shared knowledge about Loxo pipeline stages:
+ * - the order candidates move through (CSV imports only ever move a submission forward)
+ * - which stages mean the candidate was hired
+ * - merging dated stage transitions into a submission's stage_history
+ *
+ * stage_history entries look like { stage, at, source, activity_id }, oldest first;
+ * source is 'loxo_activity', 'loxo_sync' or 'csv_import'.
+ */
+
+const STAGE_ORDER = [
+  'Name Clear Requested',
+  'Name Cleared',
+  'Submitted',
+  'Client Phone Interview',
+  'Client In-Person Interview',
+  'Working Interview',
+  'Negotiation',
+  'Offer',
+  'Offer Extended',
+  'Offer Accepted',
+  'Hired',
+  'Placed',
+  'Started'
+];
+
+/**
+ * Position of a stage in STAGE_ORDER (-1 if unknown); "Moved to Offer Extended" ranks as Offer Extended
+ */
+function stageRank(stage) {
+  const name = (stage || '').toLowerCase();
+  let rank = -1;
+  STAGE_ORDER.forEach((s, index) => {
+    if (name.includes(s.toLowerCase())) rank = index;
+  });
+  return rank;
+}
+
+/**
+ * True for stages that mean the candidate was hired (Hired / Placed / Started)
+ */
+function isHiredStage(stage) {
+  const name = (stage || '').toLowerCase();
+  return name.includes('hired') || name.includes('placed') || name.includes('started');
+}
+
+/**
+ * Merge stage transitions into a history, dropping duplicates, oldest first
+ * The same stage on the same day is one transition; Loxo activity entries win over
+ * ones inferred by a sync or import.
+ */
+function mergeStageHistory(history = [], entries = []) {
+  const byKey = new Map();
+  for (const entry of [...(history || []), ...entries]) {
+    if (!entry || !entry.stage) continue;
+    const key = `${entry.stage.toLowerCase()}|${(entry.at || '').slice(0, 10)}`;
+    const existing = byKey.get(key);
+    if (!existing || (entry.source === 'loxo_activity' && existing.source !== 'loxo_activity')) {
+      byKey.set(key, { stage: entry.stage, at: entry.at || null, source: entry.source || null, ...(entry.activity_id ? { activity_id: entry.activity_id } : {}) });
+    }
+  }
+
+  return [...byKey.values()].sort((a, b) => {
+    if (!a.at || !b.at) return a.at ? -1 : b.at ? 1 : 0;
+    return a.at.localeCompare(b.at);
+  });
+}
+
+/**
+ * When a submission entered its current stage, from its stage_history
+ */
+function stageEnteredAt(submission) {
+  const stage = (submission.pipeline_stage || '').toLowerCase();
+  const history = submission.stage_history || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if ((history[i].stage || '').toLowerCase() === stage) return history[i].at;
+  }
+  return null;
+}
+
+module.exports = {
+  STAGE_ORDER,
+  stageRank,
+  isHiredStage,
+  mergeStageHistory,
+  stageEnteredAt
+};
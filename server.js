@@ -9,9 +9,14 @@ const DatabaseManager = require('./database');
 const loxo = require('./loxoService');
 const npi = require('./npiService');
 const LinkedInService = require('./linkedinService');
+const GoogleSearchService = require('./googleSearchService');
 const SocialMediaService = require('./socialMediaService');
 const DataSyncService = require('./dataSyncService');
 const MonitoringScheduler = require('./monitoringScheduler');
+const NpiLocalIndex = require('./npiLocalIndex');
+const NppesWeeklyDiff = require('./nppesWeeklyDiff');
+const LoxoWriteback = require('./loxoWriteback');
+const { stageRank, mergeStageHistory, isHiredStage } = require('./pipelineStages');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -46,15 +51,25 @@ if (!fs.existsSync(uploadsDir)) {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Webhook signatures are computed over the raw body, so keep it for those routes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.static('public'));
 
 // Initialize services
 const db = new DatabaseManager();
 const linkedin = new LinkedInService();
+const googleSearch = new GoogleSearchService();
 const socialMedia = new SocialMediaService();
 const dataSync = new DataSyncService(db);
-const scheduler = new MonitoringScheduler(db, npi, linkedin, socialMedia);
+const scheduler = new MonitoringScheduler(db, npi, linkedin, socialMedia, googleSearch);
+const npiIndex = new NpiLocalIndex();
+npi.useLocalIndex(npiIndex);
+const nppesWeekly = new NppesWeeklyDiff(db, npiIndex, npi, scheduler);
+const loxoWriteback = new LoxoWriteback(db, loxo);
 
 /**
  * Check if an event/stage name is trackable
@@ -214,6 +229,42 @@ function detectCSVFormat(headers) {
   };
 }
 
+/**
+ * Optional alias columns in any CSV format: "Maiden Name", "Preferred Name", "Nickname",
+ * "Former Name" and "Aliases"/"Other Names"/"AKA" (several names separated by ; or |)
+ * @returns {Array} [{ index, type }]
+ */
+function detectAliasColumns(headers) {
+  const types = {
+    'maiden name': 'maiden',
+    'preferred name': 'preferred',
+    'nickname': 'preferred',
+    'former name': 'former',
+    'previous name': 'former',
+    'aliases': 'other',
+    'alias': 'other',
+    'other names': 'other',
+    'aka': 'other',
+    'also known as': 'other'
+  };
+  return headers
+    .map((h, index) => ({ index, type: types[(h || '').toLowerCase().trim()] }))
+    .filter(column => column.type);
+}
+
+/**
+ * Aliases from one CSV row
+ */
+function aliasesFromRow(values, aliasColumns) {
+  const aliases = [];
+  for (const { index, type } of aliasColumns) {
+    for (const name of (values[index] || '').split(/[;|]/)) {
+      if (name.trim()) aliases.push({ name: name.trim(), type });
+    }
+  }
+  return aliases;
+}
+
 /**
  * Parse date from various formats
  */
@@ -225,6 +276,37 @@ function parseDate(dateStr) {
   return dateStr;
 }
 
+/**
+ * Build the audit context for a request
+ * The acting user comes from the X-User header the UI sends (falls back to "anonymous").
+ */
+function auditContext(req, origin = 'ui', extra = {}) {
+  const actor = (req.get('X-User') || (req.body && req.body.reviewedBy) || '').trim() || 'anonymous';
+  return { actor, origin, ...extra };
+}
+
+/**
+ * Resolve a server-side import path, allowing only files under NPPES_WEEKLY_DIR or DATA_DIR
+ * (relative paths are taken from DATA_DIR)
+ * @returns {string|null} the file's real path, or null if it's missing or outside those folders
+ */
+function importablePath(requested) {
+  const dataDir = process.env.DATA_DIR || process.env.RENDER_DISK_PATH || '.';
+  const resolved = path.resolve(dataDir, String(requested));
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) return null;
+
+  // Compare real paths so symlinks and ".." can't point outside the allowed folders
+  const realPath = fs.realpathSync(resolved);
+  const allowed = [nppesWeekly.weeklyDir, dataDir]
+    .filter(dir => fs.existsSync(dir))
+    .map(dir => fs.realpathSync(dir));
+  const inside = allowed.some(dir => {
+    const relative = path.relative(dir, realPath);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  });
+  return inside ? realPath : null;
+}
+
 // Routes
 
 // Get dashboard stats
@@ -240,7 +322,7 @@ app.get('/api/stats', (req, res) => {
 // Get all candidates
 app.get('/api/candidates', (req, res) => {
   try {
-    res.json(db.data.candidates || []);
+    res.json(db.getAllCandidates());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -250,7 +332,7 @@ app.get('/api/candidates', (req, res) => {
 app.get('/api/alerts', (req, res) => {
   try {
     const { status } = req.query;
-    let alerts = db.data.alerts || [];
+    let alerts = db.getAllAlerts();
 
     if (status) {
       alerts = alerts.filter(a => a.status === status);
@@ -262,6 +344,20 @@ app.get('/api/alerts', (req, res) => {
   }
 });
 
+// Get a single alert (old pre-migration IDs resolve to the current alert)
+app.get('/api/alerts/:id', (req, res) => {
+  try {
+    const alertId = db.resolveId('alert', req.params.id);
+    const alert = alertId !== null && db.getAlertById(alertId);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json(alert);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get submissions
 app.get('/api/submissions', (req, res) => {
   try {
@@ -275,8 +371,8 @@ app.get('/api/submissions', (req, res) => {
 // Update alert status
 app.put('/api/alerts/:id', (req, res) => {
   try {
-    const alertId = parseInt(req.params.id);
-    if (isNaN(alertId)) {
+    const alertId = db.resolveId('alert', req.params.id);
+    if (alertId === null) {
       return res.status(400).json({ error: 'Invalid alert ID' });
     }
 
@@ -286,18 +382,50 @@ app.put('/api/alerts/:id', (req, res) => {
       return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
     }
 
-    const alert = db.data.alerts.find(a => a.id === alertId);
+    const alert = db.getAlertById(alertId);
     if (!alert) {
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    alert.status = status;
-    alert.reviewed_by = reviewedBy;
-    alert.review_notes = notes;
-    alert.reviewed_at = new Date().toISOString();
+    const wasConfirmed = alert.status === 'confirmed';
+    const context = auditContext(req);
+    db.updateAlert(alertId, {
+      status,
+      reviewed_by: reviewedBy,
+      review_notes: notes,
+      reviewed_at: new Date().toISOString()
+    }, context);
 
-    db.saveDatabase();
-    res.json({ success: true });
+    // Log newly confirmed findings on the candidate's Loxo record (in the background)
+    const loxoWritebackQueued = status === 'confirmed' && !wasConfirmed && loxoWriteback.queue(alertId, context);
+
+    res.json({ success: true, id: alertId, loxoWriteback: loxoWritebackQueued ? 'queued' : null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry writing a confirmed alert back to Loxo
+app.post('/api/alerts/:id/loxo-writeback', async (req, res) => {
+  try {
+    const alertId = db.resolveId('alert', req.params.id);
+    if (alertId === null) {
+      return res.status(400).json({ error: 'Invalid alert ID' });
+    }
+
+    const alert = db.getAlertById(alertId);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (alert.status !== 'confirmed') {
+      return res.status(400).json({ error: 'Only confirmed alerts are written back to Loxo' });
+    }
+    if (!loxoWriteback.isConfigured()) {
+      return res.status(400).json({ error: 'Loxo write-back is not configured (LOXO_API_KEY, LOXO_AGENCY_SLUG, LOXO_WRITEBACK)' });
+    }
+
+    const state = await loxoWriteback.writeAlert(alertId, auditContext(req));
+    res.json({ id: alertId, loxo_activity_id: db.getAlertById(alertId).loxo_activity_id || null, loxo_writeback: state });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -322,6 +450,7 @@ app.post('/api/upload/csv', upload.single('file'), (req, res) => {
 
     const headers = rows[0];
     const mapping = detectCSVFormat(headers);
+    const aliasColumns = detectAliasColumns(headers);
     
     console.log(`CSV Format: ${mapping.format}`);
     console.log(`Total rows: ${rows.length - 1}`);
@@ -332,195 +461,194 @@ app.post('/api/upload/csv', upload.single('file'), (req, res) => {
     let skippedNonTrackable = 0;
 
     const seenCandidates = new Map();
+    const context = auditContext(req, 'csv_import', { source: req.file.originalname });
 
-    for (let i = 1; i < rows.length; i++) {
-      const values = rows[i];
+    // Defer saves so the whole import is persisted in one write
+    db.batch(() => {
+      for (let i = 1; i < rows.length; i++) {
+        const values = rows[i];
       
-      if (mapping.format === 'loxo-reporting') {
-        const candidateName = values[mapping.candidateName] || '';
-        const companyName = values[mapping.companyName] || '';
-        const eventName = values[mapping.eventName] || '';
+        if (mapping.format === 'loxo-reporting') {
+          const candidateName = values[mapping.candidateName] || '';
+          const companyName = values[mapping.companyName] || '';
+          const eventName = values[mapping.eventName] || '';
         
-        if (!candidateName || candidateName.length < 2) {
-          skipped++;
-          continue;
-        }
+          if (!candidateName || candidateName.length < 2) {
+            skipped++;
+            continue;
+          }
 
-        // Only import candidates in trackable pipeline stages
-        if (!isTrackableStage(eventName)) {
-          console.log(`  Skipping "${candidateName}" - stage "${eventName}" not tracked`);
-          skippedNonTrackable++;
-          continue;
-        }
+          // Only import candidates in trackable pipeline stages
+          if (!isTrackableStage(eventName)) {
+            console.log(`  Skipping "${candidateName}" - stage "${eventName}" not tracked`);
+            skippedNonTrackable++;
+            continue;
+          }
 
-        console.log(`  Importing "${candidateName}" at "${companyName}" - stage: "${eventName}"`);
+          console.log(`  Importing "${candidateName}" at "${companyName}" - stage: "${eventName}"`);
 
-        const candidateKey = candidateName.toLowerCase().trim();
-        let existingCandidate = seenCandidates.get(candidateKey);
+          const candidateKey = candidateName.toLowerCase().trim();
+          let existingCandidate = seenCandidates.get(candidateKey);
         
-        if (!existingCandidate) {
-          existingCandidate = db.data.candidates.find(c => 
-            c.full_name.toLowerCase().trim() === candidateKey
-          );
-        }
+          if (!existingCandidate) {
+            existingCandidate = db.getAllCandidates().find(c => 
+              c.full_name.toLowerCase().trim() === candidateKey
+            );
+          }
+
+          if (!existingCandidate) {
+            const candidateData = {
+              loxo_id: values[mapping.id] || `csv-${Date.now()}-${i}`,
+              full_name: candidateName,
+              npi_number: '',
+              linkedin_url: '',
+              email: '',
+              phone: '',
+              facebook_url: '',
+              twitter_url: '',
+              instagram_url: '',
+              title: values[mapping.jobTitle] || '',
+              current_company: '',
+              city: '',
+              state: ''
+            };
+
+            const result = db.insertCandidate(candidateData, context);
+            if (result.changes > 0) {
+              candidatesImported++;
+              existingCandidate = db.getCandidateByLoxoId(candidateData.loxo_id);
+              seenCandidates.set(candidateKey, existingCandidate);
+            }
+          } else {
+            seenCandidates.set(candidateKey, existingCandidate);
+          }
+
+          const rowAliases = aliasesFromRow(values, aliasColumns);
+          if (existingCandidate && rowAliases.length > 0) {
+            db.addCandidateAliases(existingCandidate.id, rowAliases, context);
+          }
+
+          // Create/update submission with pipeline stage
+          if (companyName && companyName.length > 2 && existingCandidate) {
+            const existingSubmission = db.getAllSubmissions().find(s =>
+              s.candidate_id === existingCandidate.id &&
+              s.client_name.toLowerCase() === companyName.toLowerCase()
+            );
+
+            const pipelineStage = extractStageName(eventName);
+            const submissionDate = parseDate(values[mapping.createdAt]);
+            const stageEntry = { stage: pipelineStage, at: submissionDate, source: 'csv_import' };
+
+            if (!existingSubmission) {
+              const submissionData = {
+                candidate_id: existingCandidate.id,
+                client_name: companyName,
+                submitted_date: submissionDate,
+                job_title: values[mapping.jobTitle] || '',
+                pipeline_stage: pipelineStage,
+                stage_history: mergeStageHistory([], [stageEntry]),
+                recruiter: values[mapping.user] || '',
+                source: values[mapping.candidateSource] || '',
+                notes: values[mapping.notes] || ''
+              };
+
+              db.insertSubmission(submissionData, context);
+              submissionsImported++;
+            } else {
+              // Every row is a dated stage event; the current stage only moves further down the pipeline
+              const updates = { stage_history: mergeStageHistory(existingSubmission.stage_history, [stageEntry]) };
+              if (stageRank(pipelineStage) > stageRank(existingSubmission.pipeline_stage)) {
+                updates.pipeline_stage = pipelineStage;
+              }
+              db.updateSubmission(existingSubmission.id, updates, context);
+            }
+          }
+
+        } else if (mapping.format === 'loxo-people') {
+          const name = values[mapping.name] || '';
+          if (!name || name.length < 2) {
+            skipped++;
+            continue;
+          }
 
-        if (!existingCandidate) {
           const candidateData = {
             loxo_id: values[mapping.id] || `csv-${Date.now()}-${i}`,
-            full_name: candidateName,
+            full_name: name,
             npi_number: '',
-            linkedin_url: '',
-            email: '',
-            phone: '',
-            facebook_url: '',
-            twitter_url: '',
-            instagram_url: '',
-            title: values[mapping.jobTitle] || '',
-            current_company: '',
-            city: '',
-            state: ''
+            linkedin_url: values[mapping.linkedin] || '',
+            email: values[mapping.email] || '',
+            phone: values[mapping.phone] || '',
+            facebook_url: mapping.facebook >= 0 ? (values[mapping.facebook] || '') : '',
+            twitter_url: mapping.twitter >= 0 ? (values[mapping.twitter] || '') : '',
+            instagram_url: mapping.instagram >= 0 ? (values[mapping.instagram] || '') : '',
+            title: values[mapping.title] || '',
+            current_company: values[mapping.company] || '',
+            city: values[mapping.city] || '',
+            state: values[mapping.state] || ''
           };
 
-          const result = db.insertCandidate(candidateData);
+          const result = db.insertCandidate(candidateData, context);
           if (result.changes > 0) {
             candidatesImported++;
-            existingCandidate = db.getCandidateByLoxoId(candidateData.loxo_id);
-            seenCandidates.set(candidateKey, existingCandidate);
           }
-        } else {
-          seenCandidates.set(candidateKey, existingCandidate);
-        }
 
-        // Create/update submission with pipeline stage
-        if (companyName && companyName.length > 2 && existingCandidate) {
-          const existingSubmission = (db.data.submissions || []).find(s =>
-            s.candidate_id === existingCandidate.id &&
-            s.client_name.toLowerCase() === companyName.toLowerCase()
-          );
-
-          const pipelineStage = extractStageName(eventName);
-          const submissionDate = parseDate(values[mapping.createdAt]);
-
-          if (!existingSubmission) {
-            const submissionData = {
-              candidate_id: existingCandidate.id,
-              client_name: companyName,
-              submitted_date: submissionDate,
-              job_title: values[mapping.jobTitle] || '',
-              pipeline_stage: pipelineStage,
-              recruiter: values[mapping.user] || '',
-              source: values[mapping.candidateSource] || '',
-              notes: values[mapping.notes] || ''
-            };
+          const candidate = db.getCandidateByLoxoId(candidateData.loxo_id);
+          const rowAliases = aliasesFromRow(values, aliasColumns);
+          if (candidate && rowAliases.length > 0) {
+            db.addCandidateAliases(candidate.id, rowAliases, context);
+          }
 
-            db.insertSubmission(submissionData);
+          const company = values[mapping.company];
+          if (company && company.length > 2 && candidate) {
+            db.insertSubmission({
+              candidate_id: candidate.id,
+              client_name: company,
+              submitted_date: new Date().toISOString().split('T')[0],
+              job_title: values[mapping.title] || 'Optometrist',
+              pipeline_stage: 'Imported'
+            }, context);
             submissionsImported++;
-          } else {
-            // Update existing submission with latest stage if it's further in pipeline
-            const stageOrder = [
-              'Name Clear Requested', 
-              'Name Cleared', 
-              'Submitted', 
-              'Client Phone Interview', 
-              'Client In-Person Interview', 
-              'Working Interview',
-              'Negotiation', 
-              'Offer',
-              'Offer Extended',
-              'Offer Accepted',
-              'Hired',
-              'Placed',
-              'Started'
-            ];
-            const currentIndex = stageOrder.findIndex(s => 
-              existingSubmission.pipeline_stage && existingSubmission.pipeline_stage.toLowerCase().includes(s.toLowerCase())
-            );
-            const newIndex = stageOrder.findIndex(s => 
-              pipelineStage.toLowerCase().includes(s.toLowerCase())
-            );
-            
-            if (newIndex > currentIndex) {
-              existingSubmission.pipeline_stage = pipelineStage;
-              existingSubmission.updated_at = new Date().toISOString();
-              db.saveDatabase();
-            }
           }
-        }
 
-      } else if (mapping.format === 'loxo-people') {
-        const name = values[mapping.name] || '';
-        if (!name || name.length < 2) {
-          skipped++;
-          continue;
-        }
+        } else {
+          const name = values[mapping.name] || '';
+          if (!name || name.length < 2) {
+            skipped++;
+            continue;
+          }
 
-        const candidateData = {
-          loxo_id: values[mapping.id] || `csv-${Date.now()}-${i}`,
-          full_name: name,
-          npi_number: '',
-          linkedin_url: values[mapping.linkedin] || '',
-          email: values[mapping.email] || '',
-          phone: values[mapping.phone] || '',
-          facebook_url: mapping.facebook >= 0 ? (values[mapping.facebook] || '') : '',
-          twitter_url: mapping.twitter >= 0 ? (values[mapping.twitter] || '') : '',
-          instagram_url: mapping.instagram >= 0 ? (values[mapping.instagram] || '') : '',
-          title: values[mapping.title] || '',
-          current_company: values[mapping.company] || '',
-          city: values[mapping.city] || '',
-          state: values[mapping.state] || ''
-        };
-
-        const result = db.insertCandidate(candidateData);
-        if (result.changes > 0) {
-          candidatesImported++;
-        }
+          const candidateData = {
+            loxo_id: `csv-${Date.now()}-${i}`,
+            full_name: name,
+            npi_number: values[mapping.npi] || '',
+            linkedin_url: values[mapping.linkedin] || '',
+            email: values[mapping.email] || '',
+            phone: values[mapping.phone] || ''
+          };
 
-        const candidate = db.getCandidateByLoxoId(candidateData.loxo_id);
-        const company = values[mapping.company];
-        if (company && company.length > 2 && candidate) {
-          db.insertSubmission({
-            candidate_id: candidate.id,
-            client_name: company,
-            submitted_date: new Date().toISOString().split('T')[0],
-            job_title: values[mapping.title] || 'Optometrist',
-            pipeline_stage: 'Imported'
-          });
-          submissionsImported++;
-        }
+          const result = db.insertCandidate(candidateData, context);
+          if (result.changes > 0) candidatesImported++;
 
-      } else {
-        const name = values[mapping.name] || '';
-        if (!name || name.length < 2) {
-          skipped++;
-          continue;
-        }
+          const candidate = db.getCandidateByLoxoId(candidateData.loxo_id);
+          const rowAliases = aliasesFromRow(values, aliasColumns);
+          if (candidate && rowAliases.length > 0) {
+            db.addCandidateAliases(candidate.id, rowAliases, context);
+          }
 
-        const candidateData = {
-          loxo_id: `csv-${Date.now()}-${i}`,
-          full_name: name,
-          npi_number: values[mapping.npi] || '',
-          linkedin_url: values[mapping.linkedin] || '',
-          email: values[mapping.email] || '',
-          phone: values[mapping.phone] || ''
-        };
-
-        const result = db.insertCandidate(candidateData);
-        if (result.changes > 0) candidatesImported++;
-
-        const candidate = db.getCandidateByLoxoId(candidateData.loxo_id);
-        const clientName = values[mapping.clientName];
-        if (clientName && clientName.length > 2 && candidate) {
-          db.insertSubmission({
-            candidate_id: candidate.id,
-            client_name: clientName,
-            submitted_date: values[mapping.submittedDate] || new Date().toISOString().split('T')[0],
-            job_title: values[mapping.jobTitle] || '',
-            pipeline_stage: 'Submitted'
-          });
-          submissionsImported++;
+          const clientName = values[mapping.clientName];
+          if (clientName && clientName.length > 2 && candidate) {
+            db.insertSubmission({
+              candidate_id: candidate.id,
+              client_name: clientName,
+              submitted_date: values[mapping.submittedDate] || new Date().toISOString().split('T')[0],
+              job_title: values[mapping.jobTitle] || '',
+              pipeline_stage: 'Submitted'
+            }, context);
+            submissionsImported++;
+          }
         }
       }
-    }
+    });
 
     fs.unlinkSync(filePath);
     
@@ -546,47 +674,356 @@ app.post('/api/upload/csv', upload.single('file'), (req, res) => {
   }
 });
 
-// Delete candidate
+// Delete candidate (moves them and their submissions/alerts to the trash)
 app.delete('/api/candidates/:id', (req, res) => {
   try {
-    const candidateId = parseInt(req.params.id);
-    if (isNaN(candidateId)) {
+    const candidateId = db.resolveId('candidate', req.params.id);
+    if (candidateId === null) {
+      return res.status(400).json({ error: 'Invalid candidate ID' });
+    }
+
+    const candidate = db.getCandidateById(candidateId);
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    db.deleteCandidate(candidateId, auditContext(req));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List trashed candidates
+app.get('/api/trash', (req, res) => {
+  try {
+    res.json({ retentionDays: db.trashRetentionDays, candidates: db.getTrash() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a candidate's aliases (maiden, preferred, former or other names)
+app.put('/api/candidates/:id/aliases', (req, res) => {
+  try {
+    const candidate = db.getCandidateById(db.resolveId('candidate', req.params.id));
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    if (!Array.isArray(req.body.aliases)) {
+      return res.status(400).json({ error: 'aliases must be an array of { name, type }' });
+    }
+
+    db.setCandidateAliases(candidate.id, req.body.aliases, auditContext(req));
+    res.json(db.getCandidateById(candidate.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search the NPI registry for a candidate now and open a review with every plausible provider
+app.post('/api/candidates/:id/npi/review', async (req, res) => {
+  try {
+    const candidate = db.getCandidateById(db.resolveId('candidate', req.params.id));
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    const providers = await npi.searchCandidate(candidate);
+    const { options } = npi.classifyMatches(providers, candidate.npi_rejected);
+    if (options.length === 0) {
+      return res.status(404).json({ error: `No NPI records match ${candidate.full_name}` });
+    }
+
+    res.json(db.openNpiReview(candidate, options.map(p => npi.summarizeProvider(p)), auditContext(req)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lock or unlock a candidate's NPI - locked NPIs are never changed by sync, backfill or monitoring
+app.post('/api/candidates/:id/npi/lock', (req, res) => {
+  try {
+    const candidate = db.getCandidateById(db.resolveId('candidate', req.params.id));
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    if (req.body.locked !== false && !candidate.npi_number) {
+      return res.status(400).json({ error: 'Candidate has no NPI number to lock' });
+    }
+
+    db.setCandidateNpi(candidate.id, { npi_locked: req.body.locked !== false }, auditContext(req));
+    res.json(db.getCandidateById(candidate.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject an NPI for a candidate (defaults to their current one) so it is never suggested again
+app.post('/api/candidates/:id/npi/reject', (req, res) => {
+  try {
+    const candidate = db.getCandidateById(db.resolveId('candidate', req.params.id));
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    const npiNumber = String(req.body.npi || candidate.npi_number || '');
+    if (!npiNumber) {
+      return res.status(400).json({ error: 'npi is required' });
+    }
+
+    db.rejectCandidateNpi(candidate.id, npiNumber, auditContext(req));
+    res.json(db.getCandidateById(candidate.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a trashed candidate with their submissions and alerts
+app.post('/api/candidates/:id/restore', (req, res) => {
+  try {
+    const candidateId = db.resolveId('candidate', req.params.id);
+    if (candidateId === null) {
       return res.status(400).json({ error: 'Invalid candidate ID' });
     }
 
+    const result = db.restoreCandidate(candidateId, auditContext(req));
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Candidate not found in trash' });
+    }
+
+    res.json({ success: true, restored: result.changes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Candidate timeline - audit history plus NPI record versions, newest first
+app.get('/api/candidates/:id/timeline', (req, res) => {
+  try {
+    const candidateId = db.resolveId('candidate', req.params.id);
+    if (candidateId === null) {
+      return res.status(400).json({ error: 'Invalid candidate ID' });
+    }
     const candidate = db.data.candidates.find(c => c.id === candidateId);
     if (!candidate) {
       return res.status(404).json({ error: 'Candidate not found' });
     }
 
-    db.data.submissions = db.data.submissions.filter(s => s.candidate_id !== candidateId);
-    db.data.alerts = db.data.alerts.filter(a => a.candidate_id !== candidateId);
-    db.data.candidates = db.data.candidates.filter(c => c.id !== candidateId);
+    res.json({ candidate, events: db.getCandidateTimeline(candidateId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    db.saveDatabase();
-    res.json({ success: true });
+// NPI record versions for a candidate, oldest first
+app.get('/api/candidates/:id/npi-history', (req, res) => {
+  try {
+    const candidateId = db.resolveId('candidate', req.params.id);
+    if (candidateId === null) {
+      return res.status(400).json({ error: 'Invalid candidate ID' });
+    }
+    res.json(db.getNpiSnapshots(candidateId));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Trigger Loxo sync
+// Trigger Loxo sync - incremental unless { mode: 'full' } or a full reconciliation is due
 app.post('/api/sync/loxo', async (req, res) => {
   try {
-    console.log('Manual Loxo sync triggered');
-    const result = await dataSync.fullSync();
+    const mode = req.body && req.body.mode;
+    if (mode && !['full', 'incremental'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "full" or "incremental"' });
+    }
+    console.log(`Manual Loxo sync triggered${mode ? ` (${mode})` : ''}`);
+    const result = await dataSync.sync({ actor: auditContext(req).actor, mode, trigger: 'manual' });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Manual monitoring trigger
-app.post('/api/monitoring/run', async (req, res) => {
+// Loxo webhook - person, job and pipeline events, signed with LOXO_WEBHOOK_SECRET
+// Moving a candidate into a hired stage raises its pipeline alert right away.
+app.post('/api/webhooks/loxo', async (req, res) => {
+  try {
+    if (!loxo.webhookSecret) {
+      return res.status(503).json({ error: 'Loxo webhooks are not configured (set LOXO_WEBHOOK_SECRET)' });
+    }
+    const signature = req.get('X-Loxo-Signature') || req.get('X-Signature');
+    if (!loxo.verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const event = String(req.body.event || req.body.event_type || req.body.type || req.body.action || 'unknown');
+    const context = { actor: 'loxo', origin: 'loxo_webhook', source: event };
+    const result = await dataSync.handleWebhook(req.body, context);
+
+    let alertsCreated = 0;
+    if (result.candidate_id && result.hired) {
+      alertsCreated = scheduler.checkCandidatePipeline(result.candidate_id, context).length;
+    }
+    console.log(`🔔 Loxo webhook ${event}: ${result.ignored ? `ignored (${result.reason})` : `${result.kind}${result.stage ? ` → ${result.stage}` : ''}`}${alertsCreated ? `, ${alertsCreated} alert(s) created` : ''}`);
+    res.json({ received: true, ...result, alertsCreated });
+  } catch (error) {
+    console.error('Loxo webhook error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Loxo sync status: last sync, high-water marks, next full reconciliation
+app.get('/api/sync/status', (req, res) => {
+  try {
+    res.json(dataSync.getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Loxo sync history, newest first
+app.get('/api/sync/history', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    res.json(db.getSyncHistory({ limit, offset }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manual monitoring trigger - starts a background run; follow it via /api/monitoring/progress
+app.post('/api/monitoring/run', (req, res) => {
   try {
     console.log('Manual monitoring check triggered');
-    const result = await scheduler.runMonitoring();
-    res.json(result);
+    const result = scheduler.startMonitoring({
+      trigger: 'manual',
+      actor: auditContext(req).actor,
+      forceFull: Boolean(req.body && req.body.forceFull)
+    });
+    res.status(result.started ? 202 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume an aborted or cancelled monitoring run from its last checkpoint
+app.post('/api/monitoring/runs/:id/resume', (req, res) => {
+  try {
+    const result = scheduler.resumeMonitoring(parseInt(req.params.id, 10), { actor: auditContext(req).actor });
+    if (result.error) {
+      return res.status(result.error === 'Run not found' ? 404 : 409).json(result);
+    }
+    res.status(result.started ? 202 : 200).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel the current monitoring run (stops before the next candidate)
+app.post('/api/monitoring/cancel', (req, res) => {
+  try {
+    const progress = scheduler.cancelMonitoring();
+    if (!progress) {
+      return res.status(409).json({ error: 'No monitoring run in progress' });
+    }
+    res.json({ success: true, ...progress });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stream monitoring progress as Server-Sent Events
+// Events: "progress" (candidate N of M, alerts so far), "finished" (run outcome), "idle" (nothing running)
+app.get('/api/monitoring/progress', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const onProgress = progress => send('progress', progress);
+  const onFinished = outcome => send('finished', outcome);
+
+  const current = scheduler.getProgress();
+  if (current) {
+    send('progress', current);
+  } else {
+    send('idle', {});
+  }
+
+  scheduler.on('progress', onProgress);
+  scheduler.on('finished', onFinished);
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    scheduler.off('progress', onProgress);
+    scheduler.off('finished', onFinished);
+  });
+});
+
+// List monitoring runs, newest first
+app.get('/api/monitoring/runs', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    res.json(db.getMonitoringRuns({ limit, offset }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one monitoring run with its per-candidate results
+app.get('/api/monitoring/runs/:id', (req, res) => {
+  try {
+    const run = db.getMonitoringRun(parseInt(req.params.id, 10));
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const { phase, outcome, candidateId } = req.query;
+    if (phase) run.results = run.results.filter(r => r.phase === phase);
+    if (outcome) run.results = run.results.filter(r => r.outcome === outcome);
+    if (candidateId) run.results = run.results.filter(r => String(r.candidate_id) === String(candidateId));
+
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get monitoring schedule with last/next run times
+app.get('/api/monitoring/schedule', (req, res) => {
+  try {
+    res.json(scheduler.getSchedule());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update monitoring schedule
+app.put('/api/monitoring/schedule', (req, res) => {
+  try {
+    const allowedFields = ['enabled', 'mode', 'intervalMinutes', 'cron', 'allowedHours', 'daysOfWeek', 'timezone', 'googleRecheckHours', 'linkedinRecheckHours'];
+    const updates = {};
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const error = scheduler.validateSchedule({ ...scheduler.getScheduleConfig(), ...updates });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(scheduler.updateSchedule(updates, auditContext(req)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -606,7 +1043,7 @@ app.get('/api/loxo/test', async (req, res) => {
 app.post('/api/npi/backfill', async (req, res) => {
   try {
     console.log('NPI backfill triggered');
-    const result = await dataSync.backfillNPINumbers();
+    const result = await dataSync.backfillNPINumbers({ actor: auditContext(req).actor, origin: 'npi_backfill' });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -627,6 +1064,144 @@ app.get('/api/npi/search/:name', async (req, res) => {
   }
 });
 
+// NPI review queue - candidates whose name matches several providers
+app.get('/api/npi/reviews', (req, res) => {
+  try {
+    const submissions = db.getAllSubmissions();
+    const reviews = db.getNpiReviews(req.query.status || 'pending').map(review => ({
+      ...review,
+      clients: [...new Set(submissions.filter(s => s.candidate_id === review.candidate_id).map(s => s.client_name))]
+    }));
+    res.json(reviews);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm one of a review's providers as the candidate's NPI (locked unless lock: false)
+app.post('/api/npi/reviews/:id/confirm', (req, res) => {
+  try {
+    const { npi: npiNumber, lock = true } = req.body;
+    if (!npiNumber) {
+      return res.status(400).json({ error: 'npi is required' });
+    }
+
+    const result = db.confirmNpiReview(parseInt(req.params.id), String(npiNumber), { lock: lock !== false }, auditContext(req));
+    if (result.error) {
+      return res.status(result.error === 'Review not found' ? 404 : 409).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject one of a review's providers - it is never suggested for this candidate again
+app.post('/api/npi/reviews/:id/reject', (req, res) => {
+  try {
+    const review = db.getNpiReview(parseInt(req.params.id));
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (!req.body.npi) {
+      return res.status(400).json({ error: 'npi is required' });
+    }
+
+    db.rejectCandidateNpi(review.candidate_id, String(req.body.npi), auditContext(req));
+    res.json(db.getNpiReview(review.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Local NPPES index status (row counts, last imports, API vs local lookups)
+app.get('/api/npi/index', (req, res) => {
+  try {
+    res.json({ ...npiIndex.getStatus(), lookups: npi.lookupStats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import an NPPES bulk file into the local index - upload it as `file` or pass a server-side `path`
+// Runs in the background; follow it via GET /api/npi/index. Weekly files also produce a change report.
+app.post('/api/npi/index/import', upload.single('file'), (req, res) => {
+  try {
+    if (!req.file && !req.body.path) {
+      return res.status(400).json({ error: 'Upload a file or provide a path' });
+    }
+    const filePath = req.file ? req.file.path : importablePath(req.body.path);
+    if (!filePath) {
+      return res.status(400).json({ error: `File not found in NPPES_WEEKLY_DIR or DATA_DIR: ${req.body.path}` });
+    }
+    if (npiIndex.importInProgress) {
+      if (req.file) fs.unlinkSync(req.file.path);
+      return res.status(409).json({ error: `An import is already running (${npiIndex.importInProgress.file})` });
+    }
+
+    const taxonomyCodes = Array.isArray(req.body.taxonomyCodes)
+      ? req.body.taxonomyCodes
+      : (req.body.taxonomyCodes || process.env.NPPES_TAXONOMY_FILTER || '').split(',');
+    const name = req.file ? req.file.originalname : path.basename(filePath);
+
+    nppesWeekly.applyFile(filePath, { taxonomyCodes, mode: req.body.mode || 'auto', name }, auditContext(req))
+      .catch(error => console.error('NPPES import error:', error.message))
+      .finally(() => {
+        if (req.file) fs.unlink(req.file.path, () => {});
+      });
+
+    res.status(202).json({ started: true, file: name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply weekly NPPES files waiting in NPPES_WEEKLY_DIR now (runs in the background)
+app.post('/api/npi/weekly/run', (req, res) => {
+  try {
+    if (nppesWeekly.running || npiIndex.importInProgress) {
+      return res.status(409).json({ error: 'An NPPES import is already running' });
+    }
+    if (!npiIndex.isReady()) {
+      return res.status(400).json({ error: 'Import a full NPPES file into the local index first' });
+    }
+
+    const pending = nppesWeekly.getPendingFiles();
+    nppesWeekly.applyPending(auditContext(req))
+      .catch(error => console.error('Weekly NPPES diff error:', error.message));
+    res.status(202).json({ started: true, pending });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Weekly "what changed" reports, newest first (entries omitted - fetch one report for details)
+app.get('/api/npi/change-reports', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { total, reports } = db.getNpiChangeReports({ limit, offset });
+    res.json({ total, reports: reports.map(({ entries, ...summary }) => summary) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One weekly report with every tracked candidate whose NPI record changed (`latest` for the newest)
+app.get('/api/npi/change-reports/:id', (req, res) => {
+  try {
+    const report = req.params.id === 'latest'
+      ? db.getNpiChangeReports({ limit: 1 }).reports[0]
+      : db.getNpiChangeReport(parseInt(req.params.id, 10));
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all company relationships
 app.get('/api/companies/relationships', (req, res) => {
   try {
@@ -645,12 +1220,52 @@ app.post('/api/companies/relationships', (req, res) => {
       return res.status(400).json({ error: 'parentCompany and subsidiary are required' });
     }
     scheduler.addCompanyRelationship(parentCompany, subsidiary);
+    db.recordAudit({
+      entity: 'company_relationship',
+      entityId: parentCompany,
+      action: 'create',
+      after: { parent_company: parentCompany, subsidiary }
+    }, auditContext(req));
+    db.saveDatabase();
     res.json({ success: true, message: `Added relationship: ${parentCompany} → ${subsidiary}` });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Query the audit log
+app.get('/api/audit', (req, res) => {
+  try {
+    const { entity, entityId, actor, origin, action, field, since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    res.json(db.getAuditLog({ entity, entityId, actor, origin, action, field, since, until, limit, offset }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change history for a single record
+app.get('/api/audit/:entity/:id', (req, res) => {
+  try {
+    const { entity } = req.params;
+    const resolved = ['candidate', 'submission', 'alert'].includes(entity)
+      ? db.resolveId(entity, req.params.id)
+      : req.params.id;
+    if (resolved === null) {
+      return res.status(400).json({ error: `Invalid ${entity} ID` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 1000, 1000);
+    res.json(db.getAuditLog({ entity, entityId: resolved, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+let purgeTimer = null;
+
 app.listen(PORT, async () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════════╗
@@ -673,8 +1288,17 @@ app.listen(PORT, async () => {
   }
   
   await npi.initialize();
+  if (npiIndex.openIfPresent()) {
+    const status = npiIndex.getStatus();
+    console.log(`✓ Local NPPES index: ${status.providers} providers${status.complete ? '' : ' (partial - API used for misses)'}`);
+  }
+  const weekly = nppesWeekly.start();
+  console.log(weekly.watching
+    ? `✓ Weekly NPPES diff: watching ${nppesWeekly.weeklyDir}`
+    : `⚠ Weekly NPPES diff idle - ${weekly.reason} (checked every ${nppesWeekly.checkHours}h)`);
   
   console.log('✓ LinkedIn Monitoring');
+  console.log('✓ Google Search Monitoring');
   console.log('✓ Social Media Monitoring');
   console.log('✓ Company Research Service (parent/subsidiary matching)');
   console.log('');
@@ -689,11 +1313,47 @@ app.listen(PORT, async () => {
   console.log('  • Offer / Offer Extended / Offer Accepted');
   console.log('  • Hired / Placed / Started');
   console.log('');
-  console.log(process.env.NODE_ENV === 'production' ? '✓ Scheduled monitoring enabled' : '⚠ Scheduled monitoring disabled in development');
+
+  scheduler.startSchedule();
+  const schedule = scheduler.getSchedule();
+  console.log(schedule.enabled
+    ? `✓ Scheduled monitoring enabled (next run: ${schedule.nextRunAt || 'none'})`
+    : '⚠ Scheduled monitoring disabled (enable via PUT /api/monitoring/schedule)');
+  scheduler.recoverInterruptedRuns();
+
+  if (loxoWriteback.start()) {
+    console.log(`✓ Loxo write-back: confirmed alerts logged as "${loxoWriteback.activityType}" activities${loxoWriteback.tag ? ` and tagged "${loxoWriteback.tag}"` : ''}`);
+  }
+
+  dataSync.recoverInterruptedSyncs();
+  console.log(dataSync.start()
+    ? `✓ Loxo sync every ${dataSync.syncHours}h (full reconciliation every ${dataSync.fullSyncDays} days)`
+    : '⚠ Automatic Loxo sync disabled (set LOXO_SYNC_HOURS)');
+
+  // Purge trashed records and old audit entries past their retention period now and once a day
+  const purgeExpired = () => {
+    db.purgeDeleted();
+    db.pruneAuditLog();
+  };
+  purgeExpired();
+  purgeTimer = setInterval(purgeExpired, 24 * 60 * 60 * 1000);
+  console.log(`✓ Trash retention: ${db.trashRetentionDays} days, audit log retention: ${db.auditRetentionDays ? `${db.auditRetentionDays} days` : 'forever'}`);
 });
 
-process.on('SIGINT', () => {
-  console.log('\nSIGINT received, closing database...');
+// An in-progress monitoring run stays checkpointed as "running"; releasing the
+// lock lets the next boot resume it right away instead of waiting for it to go stale
+const shutdown = (signal) => {
+  console.log(`\n${signal} received, closing database...`);
+  scheduler.stopSchedule();
+  scheduler.releaseLock();
+  dataSync.stop();
+  loxoWriteback.stop();
+  clearInterval(purgeTimer);
+  nppesWeekly.stop();
+  npiIndex.close();
   db.close();
   process.exit(0);
-});
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,366 @@
+/**
+ * SQLite Storage Backend
+ * Eye to Eye Careers - Candidate Placement Tracker
+ *
+ * Persists the DatabaseManager's collections (candidates, submissions, alerts, ...)
+ * into an embedded SQLite database instead of rewriting tracker-data.json.
+ * DatabaseManager still keeps the records in memory and answers queries from there;
+ * SQLite is the durable store behind it.
+ *
+ * - Each collection is a table of (id, data JSON) with no per-field indexes: lookups by candidate_id,
+ *   client_name, loxo_id or status run against the in-memory arrays, so nothing would read an index
+ *   and every save would have to maintain it
+ * - Non-collection values (settings, etc.) live in a key/value `meta` table
+ * - Saves only write the records DatabaseManager marked as changed, inside one transaction
+ * - Append-only logs (audit log, monitoring results) are `log_*` tables with indexed lookup fields, queried
+ *   directly rather than held in memory - see SqliteLog
+ *
+ * Requires the optional `better-sqlite3` dependency. Enable with DB_BACKEND=sqlite.
+ */
+
+const fs = require('fs');
+const { matchesFields, pageNewest } = require('./appendLog');
+
+// Collection tables created up front
+const COLLECTIONS = [
+  'candidates', 'submissions', 'alerts', 'syncHistory', 'idAliases',
+  'monitoringRuns', 'monitoringState', 'npiSnapshots', 'npiChangeReports', 'npiReviews'
+];
+
+/**
+ * An append-only log table - same interface as JsonlLog (append, read, readNewest, lastId, prune)
+ * Equality lookups on the indexed fields use their indexes.
+ */
+class SqliteLog {
+  constructor(db, name, indexed = []) {
+    this.db = db;
+    this.indexed = indexed;
+    this.table = `"log_${name.replace(/"/g, '')}"`;
+
+    const columns = indexed
+      .map(col => `, ${col} GENERATED ALWAYS AS (json_extract(data, '$.${col}')) VIRTUAL`)
+      .join('');
+    db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (id INTEGER PRIMARY KEY, data TEXT NOT NULL${columns})`);
+    for (const col of indexed) {
+      db.exec(`CREATE INDEX IF NOT EXISTS "log_${name}_${col}" ON ${this.table} (${col})`);
+    }
+    this.insert = db.prepare(`INSERT OR REPLACE INTO ${this.table} (id, data) VALUES (?, ?)`);
+  }
+
+  append(entries) {
+    this.db.transaction(() => {
+      for (const entry of entries) this.insert.run(entry.id, JSON.stringify(entry));
+    })();
+  }
+
+  /**
+   * Entries oldest first, optionally only those matching { field: value }
+   */
+  read(equals = {}) {
+    const { clause, values } = this.whereIndexed(equals);
+    if (clause === null) return [];
+    // Fields without an index are matched here
+    return this.db.prepare(`SELECT data FROM ${this.table}${clause} ORDER BY id`).all(...values)
+      .map(row => JSON.parse(row.data))
+      .filter(entry => matchesFields(entry, equals));
+  }
+
+  /**
+   * Entries newest first, stepping through the rows only as far as the page needs
+   * The total is counted with the indexes when every condition is on an indexed field.
+   * @param {object} options - see pageNewest()
+   */
+  readNewest(options = {}) {
+    const equals = options.equals || {};
+    const { clause, values } = this.whereIndexed(equals);
+    if (clause === null) return { entries: [], total: 0, hasMore: false };
+
+    const rows = this.db.prepare(`SELECT data FROM ${this.table}${clause} ORDER BY id DESC`).iterate(...values);
+    const page = pageNewest((function* () {
+      for (const row of rows) yield JSON.parse(row.data);
+    })(), options);
+
+    const indexedOnly = !options.filter && !options.stop &&
+      Object.entries(equals).every(([field, value]) => value === undefined || value === null || this.indexed.includes(field));
+    if (page.total === null && indexedOnly) {
+      page.total = this.db.prepare(`SELECT count(*) AS total FROM ${this.table}${clause}`).get(...values).total;
+    }
+    return page;
+  }
+
+  /**
+   * WHERE clause for the conditions on indexed fields (clause is null if nothing can match)
+   */
+  whereIndexed(equals) {
+    const where = [];
+    const values = [];
+    for (const [field, value] of Object.entries(equals)) {
+      if (value === undefined || value === null || !this.indexed.includes(field)) continue;
+      const list = Array.isArray(value) ? value : [value];
+      if (list.length === 0) return { clause: null, values };
+      where.push(`${field} IN (${list.map(() => '?').join(', ')})`);
+      values.push(...list);
+    }
+    return { clause: where.length ? ` WHERE ${where.join(' AND ')}` : '', values };
+  }
+
+  lastId() {
+    return this.db.prepare(`SELECT max(id) AS id FROM ${this.table}`).get().id || 0;
+  }
+
+  /**
+   * Delete entries whose field is below a value
+   * @returns {number} entries deleted
+   */
+  prune(field, before) {
+    return this.db.prepare(`DELETE FROM ${this.table} WHERE json_extract(data, ?) < ?`).run(`$.${field}`, before).changes;
+  }
+}
+
+class SqliteStorage {
+  constructor(dbPath) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('DB_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    // Last persisted JSON per collection/row id - used to skip unchanged rows
+    this.persisted = new Map();
+    this.persistedMeta = new Map();
+    this.statements = new Map();
+
+    this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+    for (const collection of COLLECTIONS) {
+      this.ensureTable(collection);
+    }
+    this.dropUnusedIndexes();
+  }
+
+  /**
+   * Drop the per-field indexes earlier versions created - nothing queries them, and
+   * every write had to maintain them
+   */
+  dropUnusedIndexes() {
+    const indexes = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE 'idx_%'").all();
+    for (const { name } of indexes) {
+      this.db.exec(`DROP INDEX IF EXISTS "${name.replace(/"/g, '')}"`);
+    }
+  }
+
+  /**
+   * Quote a collection name for use as a table identifier
+   */
+  tableName(collection) {
+    return `"${collection.replace(/"/g, '')}"`;
+  }
+
+  /**
+   * Create a collection table if it doesn't exist
+   */
+  ensureTable(collection) {
+    if (this.persisted.has(collection)) return;
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.tableName(collection)} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    this.persisted.set(collection, new Map());
+  }
+
+  /**
+   * Get the stable row key for a record
+   */
+  rowKey(record, index) {
+    return record && record.id !== undefined && record.id !== null ? String(record.id) : `row:${index}`;
+  }
+
+  /**
+   * True if nothing has been stored yet
+   */
+  isEmpty() {
+    const hasMeta = this.db.prepare('SELECT 1 FROM meta LIMIT 1').get();
+    if (hasMeta) return false;
+    for (const collection of this.listCollections()) {
+      if (this.db.prepare(`SELECT 1 FROM ${this.tableName(collection)} LIMIT 1`).get()) return false;
+    }
+    return true;
+  }
+
+  /**
+   * List collection tables present in the database
+   */
+  listCollections() {
+    return this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'meta' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'log\\_%' ESCAPE '\\'")
+      .all()
+      .map(row => row.name);
+  }
+
+  /**
+   * Load every collection and meta value into a plain data object
+   */
+  load() {
+    const data = {};
+
+    for (const collection of this.listCollections()) {
+      this.ensureTable(collection);
+      const persisted = this.persisted.get(collection);
+      const rows = this.db.prepare(`SELECT id, data FROM ${this.tableName(collection)} ORDER BY rowid`).all();
+      data[collection] = rows.map(row => {
+        persisted.set(row.id, row.data);
+        return JSON.parse(row.data);
+      });
+    }
+
+    for (const row of this.db.prepare('SELECT key, value FROM meta').all()) {
+      this.persistedMeta.set(row.key, row.value);
+      data[row.key] = JSON.parse(row.value);
+    }
+
+    return data;
+  }
+
+  /**
+   * Persist a data object - only changed rows are written, all in one transaction
+   * @param {Map|null} changes - collection -> Set of changed records, or null when the whole
+   *   collection has to be compared; omit to compare everything (imports, migrations)
+   * @returns {object} { written, deleted }
+   */
+  save(data, changes = null) {
+    const stats = { written: 0, deleted: 0 };
+
+    const run = this.db.transaction(() => {
+      for (const [key, value] of Object.entries(data)) {
+        if (Array.isArray(value)) {
+          if (!changes) {
+            this.saveCollection(key, value, stats);
+          } else if (changes.has(key)) {
+            const records = changes.get(key);
+            if (records) this.saveRecords(key, records, stats);
+            else this.saveCollection(key, value, stats);
+          }
+        } else {
+          const json = JSON.stringify(value === undefined ? null : value);
+          if (this.persistedMeta.get(key) !== json) {
+            this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, json);
+            this.persistedMeta.set(key, json);
+            stats.written++;
+          }
+        }
+      }
+
+      if (changes) return;
+
+      // Collections or meta keys removed from the data object entirely
+      for (const collection of this.persisted.keys()) {
+        if (!Array.isArray(data[collection])) this.saveCollection(collection, [], stats);
+      }
+      for (const key of [...this.persistedMeta.keys()]) {
+        if (!(key in data) || Array.isArray(data[key])) {
+          this.db.prepare('DELETE FROM meta WHERE key = ?').run(key);
+          this.persistedMeta.delete(key);
+        }
+      }
+    });
+
+    run();
+    return stats;
+  }
+
+  /**
+   * Prepared upsert/delete statements for a collection (cached)
+   */
+  getStatements(collection) {
+    if (!this.statements.has(collection)) {
+      const table = this.tableName(collection);
+      this.statements.set(collection, {
+        upsert: this.db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+        remove: this.db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+      });
+    }
+    return this.statements.get(collection);
+  }
+
+  /**
+   * Write individual changed records of a collection (they must carry an id)
+   */
+  saveRecords(collection, records, stats) {
+    this.ensureTable(collection);
+    const persisted = this.persisted.get(collection);
+    const { upsert } = this.getStatements(collection);
+
+    for (const record of records) {
+      const key = String(record.id);
+      const json = JSON.stringify(record);
+      if (persisted.get(key) !== json) {
+        upsert.run(key, json);
+        persisted.set(key, json);
+        stats.written++;
+      }
+    }
+  }
+
+  /**
+   * Diff one collection against what was last persisted and write the changes
+   */
+  saveCollection(collection, records, stats) {
+    this.ensureTable(collection);
+    const persisted = this.persisted.get(collection);
+    const { upsert, remove } = this.getStatements(collection);
+
+    const seen = new Set();
+    records.forEach((record, index) => {
+      const key = this.rowKey(record, index);
+      const json = JSON.stringify(record);
+      seen.add(key);
+      if (persisted.get(key) !== json) {
+        upsert.run(key, json);
+        persisted.set(key, json);
+        stats.written++;
+      }
+    });
+
+    for (const key of [...persisted.keys()]) {
+      if (!seen.has(key)) {
+        remove.run(key);
+        persisted.delete(key);
+        stats.deleted++;
+      }
+    }
+  }
+
+  /**
+   * One-time import of an existing tracker-data.json file
+   * The JSON file is renamed (not deleted) so it can be restored if needed.
+   * @returns {boolean} true if a file was imported
+   */
+  migrateFromJson(jsonPath) {
+    if (!fs.existsSync(jsonPath) || !this.isEmpty()) return false;
+
+    const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    const stats = this.save(data);
+
+    const migratedPath = `${jsonPath}.migrated-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(jsonPath, migratedPath);
+
+    console.log(`Migrated ${jsonPath} into SQLite (${stats.written} records); original kept at ${migratedPath}`);
+    return true;
+  }
+
+  /**
+   * Open an append-only log table
+   * @param {Array} indexed - fields looked up by equality (e.g. entity, entity_id)
+   */
+  log(name, indexed = []) {
+    return new SqliteLog(this.db, name, indexed);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;